@@ -0,0 +1,86 @@
+/**
+ * Admin Account CLI
+ * Creates the first accounts without going through the API. Run with:
+ *   npm run admin -- create <name> <role>   Create an account and print its API key
+ *   npm run admin -- key <name> [label]     Issue another API key for an account
+ *   npm run admin -- revoke <key_id>        Revoke an API key
+ *   npm run admin -- list                   List accounts and their keys
+ * Roles: superadmin, operator, treasurer, auditor
+ */
+
+require('dotenv').config();
+const { v4: uuidv4 } = require('uuid');
+const PumpPoniesDB = require('./schema');
+const { ROLES, isValidRole, generateApiKey } = require('../utils/admin-auth');
+
+const DATABASE_URL = process.env.DATABASE_URL || 'postgresql://localhost:5432/pump_ponies';
+const CLI_ADMIN = 'cli';
+
+async function issueKey(db, account, label) {
+    const apiKey = generateApiKey();
+    await db.createAdminKey(uuidv4(), account.id, apiKey.hash, apiKey.prefix, label || null, CLI_ADMIN);
+    console.log(`API key for ${account.name} (shown once, store it now):\n  ${apiKey.key}`);
+}
+
+async function main() {
+    const [command = 'list', ...args] = process.argv.slice(2);
+    const db = new PumpPoniesDB(DATABASE_URL, process.env.ENCRYPTION_SECRET);
+
+    try {
+        switch (command) {
+            case 'create': {
+                const [name, role] = args;
+                if (!name || !isValidRole(role)) {
+                    throw new Error(`Usage: create <name> <role> (role is one of ${Object.keys(ROLES).join(', ')})`);
+                }
+                if (await db.getAdminAccountByName(name)) {
+                    throw new Error(`Admin ${name} already exists`);
+                }
+                const account = await db.createAdminAccount(uuidv4(), name, role, CLI_ADMIN);
+                console.log(`Created ${ROLES[role].label.toLowerCase()} ${name}`);
+                await issueKey(db, account, 'created from CLI');
+                break;
+            }
+            case 'key': {
+                const [name, ...label] = args;
+                const account = name && await db.getAdminAccountByName(name);
+                if (!account) {
+                    throw new Error(`No admin named ${name}`);
+                }
+                await issueKey(db, account, label.join(' '));
+                break;
+            }
+            case 'revoke': {
+                const key = args[0] && await db.getAdminKey(args[0]);
+                if (!key) {
+                    throw new Error(`No key with id ${args[0]}`);
+                }
+                console.log(await db.revokeAdminKey(key.id, CLI_ADMIN)
+                    ? `Revoked ${key.key_prefix}…`
+                    : `${key.key_prefix}… was already revoked`);
+                break;
+            }
+            case 'list': {
+                const accounts = await db.getAdminAccounts();
+                for (const account of accounts) {
+                    console.log(`${account.name}  ${account.role}`);
+                    for (const key of account.keys) {
+                        const state = key.revoked_at ? `revoked by ${key.revoked_by}` : 'active';
+                        console.log(`  ${key.id}  ${key.key_prefix}…  ${state}${key.label ? `  (${key.label})` : ''}`);
+                    }
+                }
+                console.log(`${accounts.length} admin account(s)`);
+                break;
+            }
+            default:
+                throw new Error(`Unknown command: ${command} (use create, key, revoke or list)`);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Admin command failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,69 @@
+/**
+ * Database Migration CLI
+ * Run with:
+ *   npm run migrate                    Apply all pending migrations
+ *   npm run migrate:rollback           Roll back the last migration (add -- --steps N for more)
+ *   npm run migrate:status             List applied and pending migrations
+ *   npm run migrate:create -- <name>   Create a new empty migration file
+ */
+
+require('dotenv').config();
+const PumpPoniesDB = require('./schema');
+const Migrator = require('./migrator');
+
+const DATABASE_URL = process.env.DATABASE_URL || 'postgresql://localhost:5432/pump_ponies';
+
+async function main() {
+    const [command = 'up', ...args] = process.argv.slice(2);
+    const db = new PumpPoniesDB(DATABASE_URL, process.env.ENCRYPTION_SECRET);
+    const migrator = new Migrator(db);
+
+    try {
+        switch (command) {
+            case 'up': {
+                const applied = await migrator.migrate();
+                console.log(applied.length > 0
+                    ? `Applied ${applied.length} migration(s)`
+                    : 'Database is up to date');
+                break;
+            }
+            case 'down': {
+                const stepsIndex = args.indexOf('--steps');
+                const steps = stepsIndex >= 0 ? parseInt(args[stepsIndex + 1], 10) : 1;
+                if (!steps || steps < 1) {
+                    throw new Error('--steps must be a positive number');
+                }
+                const rolledBack = await migrator.rollback(steps);
+                console.log(`Rolled back ${rolledBack.length} migration(s)`);
+                break;
+            }
+            case 'status': {
+                const { applied, pending, unknown } = await migrator.status();
+                for (const m of applied) {
+                    console.log(`  applied  ${String(m.version).padStart(3, '0')}_${m.name}  (${new Date(m.applied_at * 1000).toISOString()})`);
+                }
+                for (const m of pending) {
+                    console.log(`  pending  ${m.file}`);
+                }
+                for (const m of unknown) {
+                    console.log(`  unknown  ${String(m.version).padStart(3, '0')}_${m.name}  (applied, but no file - is this code older than the database?)`);
+                }
+                console.log(`${applied.length} applied, ${pending.length} pending`);
+                break;
+            }
+            case 'create': {
+                console.log(`Created ${migrator.create(args.join(' '))}`);
+                break;
+            }
+            default:
+                throw new Error(`Unknown command: ${command} (use up, down, status or create)`);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+});
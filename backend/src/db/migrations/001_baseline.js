@@ -0,0 +1,320 @@
+/**
+ * Baseline schema
+ * Everything PumpPoniesDB.initialize used to create. Every statement is idempotent, so
+ * databases created before migrations existed are brought up to date and adopt it as applied.
+ */
+
+const { CURRENCIES } = require('../../utils/currencies');
+
+/**
+ * Convert a REAL whole-unit amount column to BIGINT base units, using each row's currency
+ * Only runs while the column is still REAL
+ */
+async function migrateAmountColumn(db, table, column) {
+    const result = await db.query(
+        `SELECT data_type FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2`,
+        [table, column]
+    );
+    if (result.rows[0]?.data_type !== 'real') return;
+
+    const decimals = Object.entries(CURRENCIES)
+        .map(([code, currency]) => `WHEN '${code}' THEN ${currency.decimals}`)
+        .join(' ');
+
+    // The old REAL default can't be cast to BIGINT, so it is dropped and restored around the change
+    await db.query(`ALTER TABLE ${table} ALTER COLUMN ${column} DROP DEFAULT`);
+    await db.query(`
+        ALTER TABLE ${table} ALTER COLUMN ${column} TYPE BIGINT
+        USING ROUND(${column}::NUMERIC * POWER(10::NUMERIC, CASE currency ${decimals} ELSE 9 END))
+    `);
+    if (column === 'total_pool' || column === 'amount_received') {
+        await db.query(`ALTER TABLE ${table} ALTER COLUMN ${column} SET DEFAULT 0`);
+    }
+
+    console.log(`Migrated ${table}.${column} to integer base units`);
+}
+
+module.exports = {
+    async up(db) {
+        // Races table
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS races (
+                id TEXT PRIMARY KEY,
+                title TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                winner INTEGER,
+                predetermined_winner INTEGER,
+                start_time BIGINT,
+                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW()),
+                closed_at BIGINT,
+                completed_at BIGINT,
+                total_pool BIGINT DEFAULT 0
+            )
+        `);
+        
+        // Migration: add total_pool column if it doesn't exist
+        await db.query(`
+            ALTER TABLE races ADD COLUMN IF NOT EXISTS total_pool BIGINT DEFAULT 0
+        `);
+        
+        // Migration: cancellation details
+        await db.query(`
+            ALTER TABLE races ADD COLUMN IF NOT EXISTS cancelled_at BIGINT
+        `);
+        await db.query(`
+            ALTER TABLE races ADD COLUMN IF NOT EXISTS cancel_reason TEXT
+        `);
+
+        // Horses table (linked to races)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS horses (
+                id SERIAL PRIMARY KEY,
+                race_id TEXT NOT NULL REFERENCES races(id),
+                horse_number INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                UNIQUE(race_id, horse_number)
+            )
+        `);
+
+        // Migration: finishing position per horse (1 = winner) for place/show and exotic settlement
+        await db.query(`
+            ALTER TABLE horses ADD COLUMN IF NOT EXISTS finish_position INTEGER
+        `);
+
+        // Migration: scratched horses (withdrawn after the race was created)
+        await db.query(`
+            ALTER TABLE horses ADD COLUMN IF NOT EXISTS scratched BOOLEAN NOT NULL DEFAULT FALSE
+        `);
+        await db.query(`
+            ALTER TABLE horses ADD COLUMN IF NOT EXISTS scratched_at BIGINT
+        `);
+
+        // Deposit addresses table (unique per bet request)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS deposit_addresses (
+                id TEXT PRIMARY KEY,
+                address TEXT NOT NULL UNIQUE,
+                private_key TEXT NOT NULL,
+                race_id TEXT NOT NULL REFERENCES races(id),
+                horse_number INTEGER NOT NULL,
+                user_wallet TEXT,
+                status TEXT NOT NULL DEFAULT 'waiting',
+                amount_received BIGINT DEFAULT 0,
+                transaction_signature TEXT,
+                expires_at BIGINT NOT NULL,
+                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW()),
+                confirmed_at BIGINT
+            )
+        `);
+
+        // Migration: bet type and selection for exotic pools
+        await db.query(`
+            ALTER TABLE deposit_addresses ADD COLUMN IF NOT EXISTS bet_type TEXT NOT NULL DEFAULT 'win'
+        `);
+        await db.query(`
+            ALTER TABLE deposit_addresses ADD COLUMN IF NOT EXISTS selection TEXT
+        `);
+
+        // Migration: every transfer to an address is tracked (amount_received is the running total)
+        await db.query(`
+            ALTER TABLE deposit_addresses ADD COLUMN IF NOT EXISTS transaction_signatures TEXT[] NOT NULL DEFAULT '{}'
+        `);
+        await db.query(`
+            ALTER TABLE deposit_addresses ADD COLUMN IF NOT EXISTS deposit_count INTEGER NOT NULL DEFAULT 0
+        `);
+        await db.query(`
+            UPDATE deposit_addresses SET transaction_signatures = ARRAY[transaction_signature], deposit_count = 1
+            WHERE transaction_signature IS NOT NULL AND deposit_count = 0
+        `);
+
+        // Bets table (confirmed deposits become bets)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS bets (
+                id TEXT PRIMARY KEY,
+                race_id TEXT NOT NULL REFERENCES races(id),
+                horse_number INTEGER NOT NULL,
+                deposit_address_id TEXT NOT NULL REFERENCES deposit_addresses(id),
+                user_wallet TEXT NOT NULL,
+                amount BIGINT NOT NULL,
+                transaction_signature TEXT NOT NULL,
+                odds_at_placement REAL,
+                winnings BIGINT,
+                payout_status TEXT DEFAULT 'pending',
+                payout_signature TEXT,
+                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW())
+            )
+        `);
+
+        // Migration: bet type and selection for exotic pools
+        await db.query(`
+            ALTER TABLE bets ADD COLUMN IF NOT EXISTS bet_type TEXT NOT NULL DEFAULT 'win'
+        `);
+        await db.query(`
+            ALTER TABLE bets ADD COLUMN IF NOT EXISTS selection TEXT
+        `);
+
+        // Migration: dead-heat factor applied when the bet was settled (1 = no dead heat)
+        await db.query(`
+            ALTER TABLE bets ADD COLUMN IF NOT EXISTS dead_heat_factor REAL
+        `);
+
+        // Payouts table (track all outgoing payments)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS payouts (
+                id TEXT PRIMARY KEY,
+                bet_id TEXT NOT NULL REFERENCES bets(id),
+                user_wallet TEXT NOT NULL,
+                amount BIGINT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                transaction_signature TEXT,
+                error_message TEXT,
+                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW()),
+                processed_at BIGINT
+            )
+        `);
+
+        // Migration: retry tracking for the automatic payout worker
+        await db.query(`
+            ALTER TABLE payouts ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0
+        `);
+        await db.query(`
+            ALTER TABLE payouts ADD COLUMN IF NOT EXISTS next_attempt_at BIGINT
+        `);
+
+        // Migration: signed transaction recorded before broadcast, for crash recovery
+        await db.query(`
+            ALTER TABLE payouts ADD COLUMN IF NOT EXISTS signed_transaction TEXT
+        `);
+        await db.query(`
+            ALTER TABLE payouts ADD COLUMN IF NOT EXISTS last_valid_block_height BIGINT
+        `);
+
+        // Refunds table (track rejected deposits that need refunds)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS refunds (
+                id TEXT PRIMARY KEY,
+                deposit_id TEXT NOT NULL REFERENCES deposit_addresses(id),
+                user_wallet TEXT NOT NULL,
+                amount BIGINT NOT NULL,
+                reason TEXT,
+                status TEXT NOT NULL DEFAULT 'pending',
+                transaction_signature TEXT,
+                error_message TEXT,
+                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW()),
+                processed_at BIGINT
+            )
+        `);
+
+        // Migration: refunds of confirmed bets (paid from the master wallet) link to the bet
+        await db.query(`
+            ALTER TABLE refunds ADD COLUMN IF NOT EXISTS bet_id TEXT REFERENCES bets(id)
+        `);
+
+        // Race schedules (recurring races created and opened/closed automatically)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS race_schedules (
+                id TEXT PRIMARY KEY,
+                title_template TEXT NOT NULL,
+                horses TEXT NOT NULL,
+                interval_minutes INTEGER NOT NULL,
+                create_lead_minutes INTEGER NOT NULL,
+                open_lead_minutes INTEGER NOT NULL,
+                next_start_time BIGINT NOT NULL,
+                race_count INTEGER NOT NULL DEFAULT 0,
+                enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW())
+            )
+        `);
+
+        // Migration: link scheduled races to their schedule
+        await db.query(`
+            ALTER TABLE races ADD COLUMN IF NOT EXISTS schedule_id TEXT REFERENCES race_schedules(id)
+        `);
+
+        // Migration: per-race currency (SOL or an SPL token); money rows carry it so payouts know what to send
+        for (const table of ['races', 'race_schedules', 'deposit_addresses', 'bets', 'payouts', 'refunds']) {
+            await db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'SOL'`);
+        }
+        // Associated token account of the deposit address, where token deposits land
+        await db.query(`
+            ALTER TABLE deposit_addresses ADD COLUMN IF NOT EXISTS token_account TEXT
+        `);
+        await db.query(`
+            UPDATE bets b SET currency = r.currency FROM races r
+            WHERE b.race_id = r.id AND b.currency <> r.currency
+        `);
+
+        // Migration: amounts were REAL whole units; they are now BIGINT base units (lamports for SOL)
+        for (const [table, column] of [
+            ['races', 'total_pool'],
+            ['deposit_addresses', 'amount_received'],
+            ['bets', 'amount'],
+            ['bets', 'winnings'],
+            ['payouts', 'amount'],
+            ['refunds', 'amount']
+        ]) {
+            await migrateAmountColumn(db, table, column);
+        }
+
+        // Migration: what the house kept from a settled race (house edge plus rounding dust)
+        await db.query(`
+            ALTER TABLE races ADD COLUMN IF NOT EXISTS house_take BIGINT
+        `);
+
+        // Processed signatures (every on-chain transaction we have acted on, survives restarts)
+        // kind: 'deposit' (incoming bet or rejected deposit), 'collection', 'refund' or 'payout'
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS processed_signatures (
+                signature TEXT PRIMARY KEY,
+                kind TEXT NOT NULL,
+                reference_id TEXT,
+                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW())
+            )
+        `);
+
+        // Migration: backfill from the signatures already stored on deposits, refunds and payouts
+        await db.query(`
+            INSERT INTO processed_signatures (signature, kind, reference_id)
+            SELECT transaction_signature, 'deposit', id FROM deposit_addresses WHERE transaction_signature IS NOT NULL
+            ON CONFLICT (signature) DO NOTHING
+        `);
+        await db.query(`
+            INSERT INTO processed_signatures (signature, kind, reference_id)
+            SELECT transaction_signature, 'refund', id FROM refunds WHERE status = 'completed' AND transaction_signature IS NOT NULL
+            ON CONFLICT (signature) DO NOTHING
+        `);
+        await db.query(`
+            INSERT INTO processed_signatures (signature, kind, reference_id)
+            SELECT transaction_signature, 'payout', string_agg(id, ',') FROM payouts
+            WHERE status = 'completed' AND transaction_signature IS NOT NULL
+            GROUP BY transaction_signature
+            ON CONFLICT (signature) DO NOTHING
+        `);
+
+        // Config table (store runtime config like master wallet)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS config (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW())
+            )
+        `);
+
+        // Create indexes for performance
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_deposit_status ON deposit_addresses(status)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_deposit_address ON deposit_addresses(address)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_bets_race ON bets(race_id)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_bets_user ON bets(user_wallet)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_bets_race_type ON bets(race_id, bet_type)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_payouts_status ON payouts(status)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status)`);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP TABLE IF EXISTS processed_signatures, config, payouts, refunds, bets,
+                deposit_addresses, horses, races, race_schedules CASCADE
+        `);
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * One payout per bet
+ * Lets race settlement be re-run without queueing a second payout for the same winner.
+ */
+
+module.exports = {
+    async up(db) {
+        const duplicates = await db.query(`
+            SELECT bet_id, COUNT(*)::INTEGER AS count FROM payouts GROUP BY bet_id HAVING COUNT(*) > 1
+        `);
+        if (duplicates.rows.length > 0) {
+            const bets = duplicates.rows.map(row => `${row.bet_id} (${row.count})`).join(', ');
+            throw new Error(`Bets with more than one payout must be resolved by hand first: ${bets}`);
+        }
+
+        await db.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS payouts_bet_id_key ON payouts (bet_id)
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS payouts_bet_id_key');
+    }
+};
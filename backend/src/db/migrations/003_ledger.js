@@ -0,0 +1,38 @@
+/**
+ * Double-entry ledger
+ * A ledger transaction is one fund movement; its entries sum to zero per currency.
+ * (kind, reference_id) is unique so every movement is recorded once, however often it is retried.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ledger_transactions (
+                id BIGSERIAL PRIMARY KEY,
+                kind TEXT NOT NULL,
+                reference_id TEXT NOT NULL,
+                race_id TEXT,
+                memo TEXT,
+                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW()),
+                UNIQUE (kind, reference_id)
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ledger_entries (
+                id BIGSERIAL PRIMARY KEY,
+                transaction_id BIGINT NOT NULL REFERENCES ledger_transactions(id) ON DELETE CASCADE,
+                account TEXT NOT NULL,
+                currency TEXT NOT NULL,
+                amount BIGINT NOT NULL
+            )
+        `);
+
+        await db.query('CREATE INDEX IF NOT EXISTS ledger_entries_transaction_idx ON ledger_entries (transaction_id)');
+        await db.query('CREATE INDEX IF NOT EXISTS ledger_entries_account_idx ON ledger_entries (account, currency)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS ledger_entries, ledger_transactions');
+    }
+};
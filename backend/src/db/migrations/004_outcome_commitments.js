@@ -0,0 +1,26 @@
+/**
+ * Commit-reveal race outcomes
+ * outcome and outcome_salt stay private until outcome_revealed_at is set; outcome_commitment is public.
+ * Races created before this have no commitment and verify as such.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query('ALTER TABLE races ADD COLUMN IF NOT EXISTS outcome TEXT');
+        await db.query('ALTER TABLE races ADD COLUMN IF NOT EXISTS outcome_salt TEXT');
+        await db.query('ALTER TABLE races ADD COLUMN IF NOT EXISTS outcome_commitment TEXT');
+        await db.query('ALTER TABLE races ADD COLUMN IF NOT EXISTS outcome_revealed_at BIGINT');
+        await db.query('ALTER TABLE races ADD COLUMN IF NOT EXISTS outcome_overridden BOOLEAN NOT NULL DEFAULT FALSE');
+    },
+
+    async down(db) {
+        await db.query(`
+            ALTER TABLE races
+                DROP COLUMN IF EXISTS outcome,
+                DROP COLUMN IF EXISTS outcome_salt,
+                DROP COLUMN IF EXISTS outcome_commitment,
+                DROP COLUMN IF EXISTS outcome_revealed_at,
+                DROP COLUMN IF EXISTS outcome_overridden
+        `);
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Named admin accounts with roles, and their hashed API keys
+ * An account can hold several keys so one can be rotated without downtime.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS admin_accounts (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL UNIQUE,
+                role TEXT NOT NULL,
+                created_by TEXT,
+                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW())
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS admin_api_keys (
+                id TEXT PRIMARY KEY,
+                admin_id TEXT NOT NULL REFERENCES admin_accounts(id) ON DELETE CASCADE,
+                key_hash TEXT NOT NULL UNIQUE,
+                key_prefix TEXT NOT NULL,
+                label TEXT,
+                created_by TEXT,
+                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW()),
+                last_used_at BIGINT,
+                revoked_at BIGINT,
+                revoked_by TEXT
+            )
+        `);
+
+        await db.query('CREATE INDEX IF NOT EXISTS admin_api_keys_admin_idx ON admin_api_keys (admin_id)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS admin_api_keys, admin_accounts');
+    }
+};
@@ -0,0 +1,34 @@
+/**
+ * Dangerous admin actions awaiting a second admin's approval, and their history
+ * status: pending -> executing -> executed | failed, or pending -> rejected | expired
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS admin_actions (
+                id TEXT PRIMARY KEY,
+                action TEXT NOT NULL,
+                params TEXT,
+                status TEXT NOT NULL DEFAULT 'pending',
+                proposed_by TEXT NOT NULL,
+                proposed_at BIGINT NOT NULL,
+                expires_at BIGINT NOT NULL,
+                approved_by TEXT,
+                approved_at BIGINT,
+                rejected_by TEXT,
+                rejected_at BIGINT,
+                reject_reason TEXT,
+                executed_at BIGINT,
+                result TEXT,
+                error TEXT
+            )
+        `);
+
+        await db.query('CREATE INDEX IF NOT EXISTS admin_actions_status_idx ON admin_actions (status, proposed_at)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS admin_actions');
+    }
+};
@@ -0,0 +1,52 @@
+/**
+ * Persistent audit log
+ * Append-only: triggers refuse UPDATE, DELETE and TRUNCATE, and each entry is hash-chained
+ * to the previous one (see utils/audit.js) so tampering below the triggers is still detectable.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id BIGSERIAL PRIMARY KEY,
+                created_at BIGINT NOT NULL,
+                method TEXT NOT NULL,
+                path TEXT NOT NULL,
+                query TEXT,
+                ip TEXT,
+                user_agent TEXT,
+                admin TEXT,
+                admin_role TEXT,
+                status INTEGER,
+                body TEXT,
+                prev_hash TEXT NOT NULL,
+                hash TEXT NOT NULL UNIQUE
+            )
+        `);
+
+        await db.query('CREATE INDEX IF NOT EXISTS audit_log_created_idx ON audit_log (created_at)');
+        await db.query('CREATE INDEX IF NOT EXISTS audit_log_admin_idx ON audit_log (admin, id)');
+        await db.query('CREATE INDEX IF NOT EXISTS audit_log_ip_idx ON audit_log (ip, id)');
+
+        await db.query(`
+            CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'audit_log is append-only';
+            END;
+            $$ LANGUAGE plpgsql
+        `);
+        await db.query(`
+            CREATE TRIGGER audit_log_no_update_delete BEFORE UPDATE OR DELETE ON audit_log
+            FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+        `);
+        await db.query(`
+            CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+            FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only()
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS audit_log');
+        await db.query('DROP FUNCTION IF EXISTS audit_log_append_only()');
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * Shared rate limit counters (one row per key per fixed window, see middleware/rate-limit.js)
+ * UNLOGGED: counters are cheap to lose in a crash and skip the write-ahead log.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_counters (
+                key TEXT NOT NULL,
+                window_start BIGINT NOT NULL,
+                count INTEGER NOT NULL DEFAULT 0,
+                expires_at BIGINT NOT NULL,
+                PRIMARY KEY (key, window_start)
+            )
+        `);
+
+        await db.query('CREATE INDEX IF NOT EXISTS rate_limit_counters_expires_idx ON rate_limit_counters (expires_at)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS rate_limit_counters');
+    }
+};
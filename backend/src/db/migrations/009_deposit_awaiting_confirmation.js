@@ -0,0 +1,16 @@
+/**
+ * Transfers held for their confirmation depth, tracked apart from the deposit status
+ * An address that already holds a confirmed bet keeps the 'confirmed' status while a top-up waits,
+ * so the status alone can't tell the monitor to keep watching it past expiry.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query('ALTER TABLE deposit_addresses ADD COLUMN IF NOT EXISTS awaiting_confirmation BOOLEAN NOT NULL DEFAULT FALSE');
+        await db.query("UPDATE deposit_addresses SET awaiting_confirmation = TRUE WHERE status = 'pending_confirmation'");
+    },
+
+    async down(db) {
+        await db.query('ALTER TABLE deposit_addresses DROP COLUMN IF EXISTS awaiting_confirmation');
+    }
+};
@@ -0,0 +1,209 @@
+/**
+ * Migration Runner
+ * Applies the numbered files in src/db/migrations (NNN_name.js, each exporting up/down)
+ * in order and records them in schema_migrations. Every migration runs in its own
+ * transaction, and runs are serialized with an advisory lock so two instances can't race.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary key for pg_advisory_lock, shared by every process running migrations
+const LOCK_KEY = 7305101;
+
+class Migrator {
+    /**
+     * @param {PumpPoniesDB} db - Database wrapper (its pool is used for dedicated clients)
+     * @param {string} migrationsDir - Directory of migration files
+     */
+    constructor(db, migrationsDir = MIGRATIONS_DIR) {
+        this.db = db;
+        this.migrationsDir = migrationsDir;
+    }
+
+    /**
+     * Create the bookkeeping table
+     */
+    async ensureTable(client = this.db) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW())
+            )
+        `);
+    }
+
+    /**
+     * Migration files on disk, in version order
+     * @returns {Array} [{ version, name, file }]
+     */
+    listMigrations() {
+        const migrations = fs.readdirSync(this.migrationsDir)
+            .filter(file => file.endsWith('.js'))
+            .map(file => {
+                const match = file.match(MIGRATION_FILE);
+                if (!match) {
+                    throw new Error(`Invalid migration file name: ${file} (expected NNN_name.js)`);
+                }
+                return { version: parseInt(match[1], 10), name: match[2], file };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < migrations.length; i++) {
+            if (migrations[i].version === migrations[i - 1].version) {
+                throw new Error(`Duplicate migration version ${migrations[i].version}`);
+            }
+        }
+        return migrations;
+    }
+
+    loadMigration(migration) {
+        const module = require(path.join(this.migrationsDir, migration.file));
+        if (typeof module.up !== 'function') {
+            throw new Error(`Migration ${migration.file} has no up()`);
+        }
+        return module;
+    }
+
+    /**
+     * Applied migrations, in version order
+     */
+    async getApplied(client = this.db) {
+        await this.ensureTable(client);
+        const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+        return result.rows;
+    }
+
+    /**
+     * Applied and pending migrations, plus applied versions with no file (database ahead of the code)
+     * @returns {Promise<Object>} { applied, pending, unknown }
+     */
+    async status() {
+        const applied = await this.getApplied();
+        const appliedVersions = new Set(applied.map(m => m.version));
+        const migrations = this.listMigrations();
+        const knownVersions = new Set(migrations.map(m => m.version));
+
+        return {
+            applied,
+            pending: migrations.filter(m => !appliedVersions.has(m.version)),
+            unknown: applied.filter(m => !knownVersions.has(m.version))
+        };
+    }
+
+    /**
+     * Apply every pending migration
+     * @returns {Promise<Array>} Migrations applied
+     */
+    async migrate() {
+        return await this.withLock(async (client) => {
+            const appliedVersions = new Set((await this.getApplied(client)).map(m => m.version));
+            const pending = this.listMigrations().filter(m => !appliedVersions.has(m.version));
+
+            for (const migration of pending) {
+                const { up } = this.loadMigration(migration);
+                console.log(`[MIGRATE] Applying ${migration.file}...`);
+                await this.inTransaction(client, async () => {
+                    await up(client);
+                    await client.query(
+                        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                        [migration.version, migration.name]
+                    );
+                });
+            }
+
+            return pending;
+        });
+    }
+
+    /**
+     * Roll back the most recently applied migrations
+     * @param {number} steps - How many migrations to undo
+     * @returns {Promise<Array>} Migrations rolled back
+     */
+    async rollback(steps = 1) {
+        return await this.withLock(async (client) => {
+            const applied = (await this.getApplied(client)).reverse().slice(0, steps);
+            const migrations = new Map(this.listMigrations().map(m => [m.version, m]));
+
+            for (const row of applied) {
+                const migration = migrations.get(row.version);
+                if (!migration) {
+                    throw new Error(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+                }
+                const { down } = this.loadMigration(migration);
+                if (typeof down !== 'function') {
+                    throw new Error(`Migration ${migration.file} has no down()`);
+                }
+
+                console.log(`[MIGRATE] Rolling back ${migration.file}...`);
+                await this.inTransaction(client, async () => {
+                    await down(client);
+                    await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+                });
+            }
+
+            return applied;
+        });
+    }
+
+    /**
+     * Run on a dedicated client holding the migration lock
+     */
+    async withLock(fn) {
+        const client = await this.db.pool.connect();
+        try {
+            await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+            client.release();
+        }
+    }
+
+    async inTransaction(client, fn) {
+        await client.query('BEGIN');
+        try {
+            await fn();
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * Write an empty migration file with the next version number
+     * @returns {string} Path of the new file
+     */
+    create(name) {
+        const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        if (!slug) {
+            throw new Error('Migration name is required');
+        }
+
+        const migrations = this.listMigrations();
+        const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+        const file = path.join(this.migrationsDir, `${String(version).padStart(3, '0')}_${slug}.js`);
+
+        fs.writeFileSync(file, `/**
+ * ${name}
+ */
+
+module.exports = {
+    async up(db) {
+    },
+
+    async down(db) {
+    }
+};
+`);
+        return file;
+    }
+}
+
+module.exports = Migrator;
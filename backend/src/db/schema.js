@@ -5,8 +5,52 @@
  * SECURITY: Private keys are encrypted at rest using AES-256-GCM
  */
 
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 const { encryptPrivateKey, decryptPrivateKey, isEncrypted } = require('../utils/encryption');
+const { BET_TYPES, normalizeFinishingOrder } = require('../utils/bet-types');
+const { ACCOUNTS: LEDGER_ACCOUNTS, KINDS: LEDGER_KINDS, imbalances: ledgerImbalances } = require('../utils/ledger');
+const { sealOutcome } = require('../utils/fairness');
+const { GENESIS_HASH, AUDIT_FIELDS, hashAuditEntry } = require('../utils/audit');
+
+// BIGINT columns (timestamps and base-unit amounts) come back as numbers instead of strings.
+// Amounts stay far below 2^53 base units (about 9 million SOL).
+types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+
+/**
+ * Race row as it may be shown to anyone: the sealed outcome and its salt only once revealed,
+ * and never the predetermined winner (it is the first horse of the outcome)
+ */
+function publicRaceRow(row) {
+    const { predetermined_winner, outcome, outcome_salt, ...race } = row;
+    if (!row.outcome_revealed_at) return race;
+    return { ...race, outcome: outcome ? JSON.parse(outcome) : null, outcome_salt };
+}
+
+/**
+ * WHERE clause for audit log filters: path prefix, exact ip/admin/method, time range in unix seconds
+ */
+function auditFilter({ path = null, ip = null, admin = null, method = null, from = null, to = null } = {}, params = []) {
+    const conditions = [];
+    const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    if (path) add("path LIKE ? ESCAPE '\\'", path.replace(/[\\%_]/g, c => '\\' + c) + '%');
+    if (ip) add('ip = ?', ip);
+    if (admin) add('admin = ?', admin);
+    if (method) add('method = ?', method.toUpperCase());
+    if (from) add('created_at >= ?', from);
+    if (to) add('created_at <= ?', to);
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+function adminActionRow(row) {
+    return {
+        ...row,
+        params: row.params ? JSON.parse(row.params) : {},
+        result: row.result ? JSON.parse(row.result) : null
+    };
+}
 
 class PumpPoniesDB {
     constructor(connectionString, encryptionSecret) {
@@ -27,136 +71,68 @@ class PumpPoniesDB {
     }
 
     /**
-     * Initialize all database tables
+     * Run fn inside a transaction on a dedicated client
+     * fn receives a copy of this db whose queries all go through that client, so every
+     * method below can be used inside the transaction. Nested calls join the outer one.
      */
-    async initialize() {
-        // Races table
-        await this.query(`
-            CREATE TABLE IF NOT EXISTS races (
-                id TEXT PRIMARY KEY,
-                title TEXT NOT NULL,
-                status TEXT NOT NULL DEFAULT 'pending',
-                winner INTEGER,
-                predetermined_winner INTEGER,
-                start_time BIGINT,
-                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW()),
-                closed_at BIGINT,
-                completed_at BIGINT,
-                total_pool REAL DEFAULT 0
-            )
-        `);
-        
-        // Migration: add total_pool column if it doesn't exist
-        await this.query(`
-            ALTER TABLE races ADD COLUMN IF NOT EXISTS total_pool REAL DEFAULT 0
-        `);
-
-        // Horses table (linked to races)
-        await this.query(`
-            CREATE TABLE IF NOT EXISTS horses (
-                id SERIAL PRIMARY KEY,
-                race_id TEXT NOT NULL REFERENCES races(id),
-                horse_number INTEGER NOT NULL,
-                name TEXT NOT NULL,
-                UNIQUE(race_id, horse_number)
-            )
-        `);
-
-        // Deposit addresses table (unique per bet request)
-        await this.query(`
-            CREATE TABLE IF NOT EXISTS deposit_addresses (
-                id TEXT PRIMARY KEY,
-                address TEXT NOT NULL UNIQUE,
-                private_key TEXT NOT NULL,
-                race_id TEXT NOT NULL REFERENCES races(id),
-                horse_number INTEGER NOT NULL,
-                user_wallet TEXT,
-                status TEXT NOT NULL DEFAULT 'waiting',
-                amount_received REAL DEFAULT 0,
-                transaction_signature TEXT,
-                expires_at BIGINT NOT NULL,
-                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW()),
-                confirmed_at BIGINT
-            )
-        `);
-
-        // Bets table (confirmed deposits become bets)
-        await this.query(`
-            CREATE TABLE IF NOT EXISTS bets (
-                id TEXT PRIMARY KEY,
-                race_id TEXT NOT NULL REFERENCES races(id),
-                horse_number INTEGER NOT NULL,
-                deposit_address_id TEXT NOT NULL REFERENCES deposit_addresses(id),
-                user_wallet TEXT NOT NULL,
-                amount REAL NOT NULL,
-                transaction_signature TEXT NOT NULL,
-                odds_at_placement REAL,
-                winnings REAL,
-                payout_status TEXT DEFAULT 'pending',
-                payout_signature TEXT,
-                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW())
-            )
-        `);
+    async withTransaction(fn) {
+        const client = await this.pool.connect();
+        const tx = Object.create(this);
+        tx.query = (text, params) => client.query(text, params);
+        tx.withTransaction = (nested) => nested(tx);
 
-        // Payouts table (track all outgoing payments)
-        await this.query(`
-            CREATE TABLE IF NOT EXISTS payouts (
-                id TEXT PRIMARY KEY,
-                bet_id TEXT NOT NULL REFERENCES bets(id),
-                user_wallet TEXT NOT NULL,
-                amount REAL NOT NULL,
-                status TEXT NOT NULL DEFAULT 'pending',
-                transaction_signature TEXT,
-                error_message TEXT,
-                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW()),
-                processed_at BIGINT
-            )
-        `);
-
-        // Refunds table (track rejected deposits that need refunds)
-        await this.query(`
-            CREATE TABLE IF NOT EXISTS refunds (
-                id TEXT PRIMARY KEY,
-                deposit_id TEXT NOT NULL REFERENCES deposit_addresses(id),
-                user_wallet TEXT NOT NULL,
-                amount REAL NOT NULL,
-                reason TEXT,
-                status TEXT NOT NULL DEFAULT 'pending',
-                transaction_signature TEXT,
-                error_message TEXT,
-                created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW()),
-                processed_at BIGINT
-            )
-        `);
+        try {
+            await client.query('BEGIN');
+            const result = await fn(tx);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
 
-        // Config table (store runtime config like master wallet)
-        await this.query(`
-            CREATE TABLE IF NOT EXISTS config (
-                key TEXT PRIMARY KEY,
-                value TEXT NOT NULL,
-                updated_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW())
-            )
-        `);
+    /**
+     * Run fn while holding a session advisory lock, so only one instance sharing the database
+     * runs it at a time. Doesn't wait: returns { acquired: false } if another instance holds it
+     * @returns {Promise<Object>} { acquired, result }
+     */
+    async withAdvisoryLock(name, fn) {
+        const client = await this.pool.connect();
+        let unlocked = true;
 
-        // Create indexes for performance
-        await this.query(`CREATE INDEX IF NOT EXISTS idx_deposit_status ON deposit_addresses(status)`);
-        await this.query(`CREATE INDEX IF NOT EXISTS idx_deposit_address ON deposit_addresses(address)`);
-        await this.query(`CREATE INDEX IF NOT EXISTS idx_bets_race ON bets(race_id)`);
-        await this.query(`CREATE INDEX IF NOT EXISTS idx_bets_user ON bets(user_wallet)`);
-        await this.query(`CREATE INDEX IF NOT EXISTS idx_payouts_status ON payouts(status)`);
-        await this.query(`CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status)`);
+        try {
+            const { rows } = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS acquired', [name]);
+            if (!rows[0].acquired) return { acquired: false };
 
-        console.log('Database initialized successfully');
+            unlocked = false;
+            try {
+                return { acquired: true, result: await fn() };
+            } finally {
+                await client.query('SELECT pg_advisory_unlock(hashtext($1))', [name]);
+                unlocked = true;
+            }
+        } finally {
+            // A session lock outlives the checkout; drop the connection rather than pool it still locked
+            client.release(!unlocked);
+        }
     }
 
     // ===================
     // RACE OPERATIONS
     // ===================
 
-    async createRace(id, title, horses, startTime, predeterminedWinner = null) {
+    /**
+     * Create a race and seal its outcome; only the commitment is visible until the race is settled
+     */
+    async createRace(id, title, horses, startTime, predeterminedWinner = null, scheduleId = null, currency = 'SOL') {
+        const sealed = sealOutcome(id, horses.length, predeterminedWinner);
         await this.query(
-            `INSERT INTO races (id, title, status, start_time, predetermined_winner) VALUES ($1, $2, 'pending', $3, $4)`,
-            [id, title, startTime, predeterminedWinner]
+            `INSERT INTO races (id, title, status, start_time, predetermined_winner, schedule_id, currency, outcome, outcome_salt, outcome_commitment)
+             VALUES ($1, $2, 'pending', $3, $4, $5, $6, $7, $8, $9)`,
+            [id, title, startTime, predeterminedWinner, scheduleId, currency, JSON.stringify(sealed.outcome), sealed.salt, sealed.commitment]
         );
 
         for (let i = 0; i < horses.length; i++) {
@@ -173,13 +149,34 @@ class PumpPoniesDB {
         const raceResult = await this.query('SELECT * FROM races WHERE id = $1', [id]);
         if (raceResult.rows.length === 0) return null;
 
-        const race = raceResult.rows[0];
+        const race = publicRaceRow(raceResult.rows[0]);
         const horsesResult = await this.query(
-            'SELECT horse_number, name FROM horses WHERE race_id = $1 ORDER BY horse_number',
+            'SELECT horse_number, name, finish_position, scratched FROM horses WHERE race_id = $1 ORDER BY horse_number',
             [id]
         );
 
-        return { ...race, horses: horsesResult.rows };
+        // Finishing order as horse numbers, first place first (empty until the race ends)
+        // Horses sharing a position (dead heat) are grouped into a nested array
+        const byPosition = {};
+        horsesResult.rows
+            .filter(h => h.finish_position !== null)
+            .forEach(h => {
+                (byPosition[h.finish_position] = byPosition[h.finish_position] || []).push(h.horse_number);
+            });
+        const finishingOrder = Object.keys(byPosition)
+            .sort((a, b) => a - b)
+            .map(position => (byPosition[position].length > 1 ? byPosition[position] : byPosition[position][0]));
+
+        return { ...race, horses: horsesResult.rows, finishing_order: finishingOrder };
+    }
+
+    /**
+     * Lock a race row until the surrounding transaction ends, then return the race
+     */
+    async lockRace(id) {
+        const result = await this.query('SELECT id FROM races WHERE id = $1 FOR UPDATE', [id]);
+        if (result.rows.length === 0) return null;
+        return await this.getRace(id);
     }
 
     async getActiveRace() {
@@ -193,39 +190,97 @@ class PumpPoniesDB {
 
     async getAllRaces() {
         const result = await this.query('SELECT * FROM races ORDER BY created_at DESC');
-        return result.rows;
+        return result.rows.map(publicRaceRow);
+    }
+
+    /**
+     * The committed outcome of a race, revealed or not (null for races created before commitments)
+     */
+    async getSealedOutcome(id) {
+        const result = await this.query(
+            'SELECT outcome, outcome_salt, outcome_commitment, outcome_revealed_at FROM races WHERE id = $1',
+            [id]
+        );
+        const row = result.rows[0];
+        if (!row || !row.outcome_commitment) return null;
+        return {
+            outcome: JSON.parse(row.outcome),
+            salt: row.outcome_salt,
+            commitment: row.outcome_commitment,
+            revealed_at: row.outcome_revealed_at
+        };
+    }
+
+    /**
+     * Publish a race's outcome and salt; overridden marks a result that departs from the commitment
+     */
+    async revealOutcome(id, overridden = false) {
+        const now = Math.floor(Date.now() / 1000);
+        await this.query(
+            'UPDATE races SET outcome_revealed_at = $1, outcome_overridden = $2 WHERE id = $3 AND outcome_commitment IS NOT NULL AND outcome_revealed_at IS NULL',
+            [now, overridden, id]
+        );
     }
 
+    /**
+     * Delete completed races that owe nothing, with their bets, payouts, refunds and deposit addresses
+     * Races with a payout or refund not yet completed are skipped. Ledger transactions and
+     * processed_signatures are kept: they record real on-chain movements, and the signatures
+     * stop an old transfer from ever being acted on again.
+     * @returns {Promise<Object>} { deleted, skipped }
+     */
     async deleteCompletedRaces() {
-        // Get completed race IDs first
-        const racesResult = await this.query("SELECT id FROM races WHERE status = 'completed'");
-        const raceIds = racesResult.rows.map(r => r.id);
-        
-        if (raceIds.length === 0) return 0;
-        
-        // Delete related data in order (foreign key constraints)
-        for (const raceId of raceIds) {
-            await this.query('DELETE FROM payouts WHERE race_id = $1', [raceId]);
-            await this.query('DELETE FROM bets WHERE race_id = $1', [raceId]);
-            await this.query('DELETE FROM deposit_addresses WHERE race_id = $1', [raceId]);
-            await this.query('DELETE FROM horses WHERE race_id = $1', [raceId]);
-            await this.query('DELETE FROM races WHERE id = $1', [raceId]);
-        }
-        
-        return raceIds.length;
+        return await this.withTransaction(async (tx) => {
+            const racesResult = await tx.query(`
+                SELECT r.id,
+                    EXISTS (
+                        SELECT 1 FROM payouts p
+                        WHERE p.bet_id IN (SELECT id FROM bets WHERE race_id = r.id) AND p.status <> 'completed'
+                    )
+                    OR EXISTS (
+                        SELECT 1 FROM refunds f JOIN deposit_addresses d ON d.id = f.deposit_id
+                        WHERE d.race_id = r.id AND f.status <> 'completed'
+                    ) AS outstanding
+                FROM races r WHERE r.status = 'completed'
+            `);
+            const raceIds = racesResult.rows.filter(r => !r.outstanding).map(r => r.id);
+            const skipped = racesResult.rows.length - raceIds.length;
+
+            // Delete related data in order (foreign key constraints)
+            for (const raceId of raceIds) {
+                await tx.query(
+                    'DELETE FROM refunds WHERE deposit_id IN (SELECT id FROM deposit_addresses WHERE race_id = $1)',
+                    [raceId]
+                );
+                await tx.query('DELETE FROM payouts WHERE bet_id IN (SELECT id FROM bets WHERE race_id = $1)', [raceId]);
+                await tx.query('DELETE FROM bets WHERE race_id = $1', [raceId]);
+                await tx.query('DELETE FROM deposit_addresses WHERE race_id = $1', [raceId]);
+                await tx.query('DELETE FROM horses WHERE race_id = $1', [raceId]);
+                await tx.query('DELETE FROM races WHERE id = $1', [raceId]);
+            }
+
+            return { deleted: raceIds.length, skipped };
+        });
     }
 
+    /**
+     * Nuclear option - delete every race and everything hanging off it for a clean slate
+     * Pending refunds and payouts go too. Ledger transactions and processed_signatures are kept
+     * (see deleteCompletedRaces), so the ledger reports the deleted liabilities as mismatches.
+     */
     async clearAllData() {
-        // Nuclear option - delete everything for a clean slate
         console.log('[CLEAR] Clearing all data from database...');
-        
+
         // Delete in order due to foreign key constraints
-        await this.query('DELETE FROM payouts');
-        await this.query('DELETE FROM bets');
-        await this.query('DELETE FROM deposit_addresses');
-        await this.query('DELETE FROM horses');
-        await this.query('DELETE FROM races');
-        
+        await this.withTransaction(async (tx) => {
+            await tx.query('DELETE FROM refunds');
+            await tx.query('DELETE FROM payouts');
+            await tx.query('DELETE FROM bets');
+            await tx.query('DELETE FROM deposit_addresses');
+            await tx.query('DELETE FROM horses');
+            await tx.query('DELETE FROM races');
+        });
+
         console.log('[CLEAR] All data cleared');
         return true;
     }
@@ -249,20 +304,57 @@ class PumpPoniesDB {
         return await this.getRace(id);
     }
 
-    async setRaceWinner(id, winner, totalPool = 0) {
+    async setRaceWinner(id, winner, totalPool = 0, finishingOrder = null, houseTake = null) {
+        const now = Math.floor(Date.now() / 1000);
+        await this.query(
+            'UPDATE races SET winner = $1, status = $2, completed_at = $3, total_pool = $4, house_take = $5 WHERE id = $6',
+            [winner, 'completed', now, totalPool, houseTake, id]
+        );
+        if (finishingOrder) {
+            await this.setFinishingOrder(id, finishingOrder);
+        }
+        return await this.getRace(id);
+    }
+
+    async setFinishingOrder(id, finishingOrder) {
+        await this.query('UPDATE horses SET finish_position = NULL WHERE race_id = $1', [id]);
+        
+        // Tied horses share a position and the next finisher skips the positions they cover
+        let position = 1;
+        for (const group of normalizeFinishingOrder(finishingOrder)) {
+            for (const horseNumber of group) {
+                await this.query(
+                    'UPDATE horses SET finish_position = $1 WHERE race_id = $2 AND horse_number = $3',
+                    [position, id, horseNumber]
+                );
+            }
+            position += group.length;
+        }
+    }
+
+    async cancelRace(id, reason = null) {
         const now = Math.floor(Date.now() / 1000);
         await this.query(
-            'UPDATE races SET winner = $1, status = $2, completed_at = $3, total_pool = $4 WHERE id = $5',
-            [winner, 'completed', now, totalPool, id]
+            "UPDATE races SET status = 'cancelled', cancelled_at = $1, cancel_reason = $2 WHERE id = $3",
+            [now, reason, id]
         );
         return await this.getRace(id);
     }
 
+    async scratchHorse(raceId, horseNumber) {
+        const now = Math.floor(Date.now() / 1000);
+        const result = await this.query(
+            'UPDATE horses SET scratched = TRUE, scratched_at = $1 WHERE race_id = $2 AND horse_number = $3 AND scratched = FALSE',
+            [now, raceId, horseNumber]
+        );
+        return result.rowCount > 0;
+    }
+
     // ===================
     // DEPOSIT ADDRESS OPERATIONS
     // ===================
 
-    async createDepositAddress(id, address, privateKey, raceId, horseNumber, expiresAt, userWallet = null) {
+    async createDepositAddress(id, address, privateKey, raceId, horseNumber, expiresAt, userWallet = null, betType = 'win', selection = null, currency = 'SOL', tokenAccount = null) {
         let storedKey = privateKey;
         if (this.encryptionSecret) {
             try {
@@ -274,8 +366,8 @@ class PumpPoniesDB {
         }
         
         await this.query(
-            `INSERT INTO deposit_addresses (id, address, private_key, race_id, horse_number, user_wallet, expires_at) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-            [id, address, storedKey, raceId, horseNumber, userWallet, expiresAt]
+            `INSERT INTO deposit_addresses (id, address, private_key, race_id, horse_number, user_wallet, expires_at, bet_type, selection, currency, token_account) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+            [id, address, storedKey, raceId, horseNumber, userWallet, expiresAt, betType, selection || String(horseNumber), currency, tokenAccount]
         );
         
         return await this.getDepositAddress(id);
@@ -333,6 +425,32 @@ class PumpPoniesDB {
         return result.rows;
     }
 
+    /**
+     * Addresses to watch: unexpired ones, plus ones holding a transfer short of its required depth
+     * until confirmationTimeout seconds past their expiry
+     */
+    async getActiveDeposits(confirmationTimeout = 0) {
+        const now = Math.floor(Date.now() / 1000);
+        const result = await this.query(
+            `SELECT * FROM deposit_addresses WHERE status <> 'expired'
+             AND (expires_at > $1 OR (awaiting_confirmation AND expires_at > $2))`,
+            [now, now - confirmationTimeout]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Addresses holding a transfer that never reached its required depth within the timeout
+     */
+    async getStalledConfirmations(confirmationTimeout) {
+        const now = Math.floor(Date.now() / 1000);
+        const result = await this.query(
+            'SELECT * FROM deposit_addresses WHERE awaiting_confirmation AND expires_at <= $1',
+            [now - confirmationTimeout]
+        );
+        return result.rows;
+    }
+
     async getExpiredDeposits() {
         const now = Math.floor(Date.now() / 1000);
         const result = await this.query(
@@ -372,14 +490,73 @@ class PumpPoniesDB {
         return await this.getDepositAddress(id);
     }
 
+    /**
+     * Flag a deposit whose transfer has arrived but not yet reached the required confirmation depth
+     * An address that already has a confirmed bet keeps its status; awaiting_confirmation keeps it watched
+     */
+    async setDepositPendingConfirmation(id) {
+        await this.query(
+            `UPDATE deposit_addresses SET awaiting_confirmation = TRUE,
+                status = CASE WHEN status = 'waiting' THEN 'pending_confirmation' ELSE status END
+             WHERE id = $1`,
+            [id]
+        );
+    }
+
+    /**
+     * Clear the flag once no transfer to the address is held any more (credited, or gone from the chain)
+     */
+    async clearDepositPendingConfirmation(id) {
+        await this.query(
+            `UPDATE deposit_addresses SET awaiting_confirmation = FALSE,
+                status = CASE WHEN status = 'pending_confirmation' THEN 'waiting' ELSE status END
+             WHERE id = $1 AND awaiting_confirmation`,
+            [id]
+        );
+    }
+
+    /**
+     * Give up on a held transfer: stop watching the address, and mark it 'unconfirmed' unless it
+     * already holds a confirmed bet (the reconciler reports the uncredited transfer either way)
+     */
+    async markConfirmationStalled(id) {
+        await this.query(
+            `UPDATE deposit_addresses SET awaiting_confirmation = FALSE,
+                status = CASE WHEN status = 'pending_confirmation' THEN 'unconfirmed' ELSE status END
+             WHERE id = $1`,
+            [id]
+        );
+    }
+
+    /**
+     * Add one incoming transfer to a deposit address
+     * The status records the outcome, but a rejected top-up never overrides an earlier confirmed bet
+     */
+    async recordDepositTransfer(id, status, amount, txSignature, userWallet) {
+        const now = Math.floor(Date.now() / 1000);
+        await this.query(
+            `UPDATE deposit_addresses SET
+                status = CASE WHEN status = 'confirmed' THEN status ELSE $1 END,
+                amount_received = COALESCE(amount_received, 0) + $2,
+                transaction_signature = COALESCE(transaction_signature, $3),
+                transaction_signatures = array_append(transaction_signatures, $3),
+                deposit_count = deposit_count + 1,
+                user_wallet = COALESCE(user_wallet, $4),
+                confirmed_at = CASE WHEN $1 = 'confirmed' THEN COALESCE(confirmed_at, $5) ELSE confirmed_at END
+             WHERE id = $6`,
+            [status, amount, txSignature, userWallet, now, id]
+        );
+        return await this.getDepositAddress(id);
+    }
+
     // ===================
     // BET OPERATIONS
     // ===================
 
-    async createBet(id, raceId, horseNumber, depositAddressId, userWallet, amount, txSignature, oddsAtPlacement) {
+    async createBet(id, raceId, horseNumber, depositAddressId, userWallet, amount, txSignature, oddsAtPlacement, betType = 'win', selection = null, currency = 'SOL') {
         await this.query(
-            `INSERT INTO bets (id, race_id, horse_number, deposit_address_id, user_wallet, amount, transaction_signature, odds_at_placement) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-            [id, raceId, horseNumber, depositAddressId, userWallet, amount, txSignature, oddsAtPlacement]
+            `INSERT INTO bets (id, race_id, horse_number, deposit_address_id, user_wallet, amount, transaction_signature, odds_at_placement, bet_type, selection, currency) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+            [id, raceId, horseNumber, depositAddressId, userWallet, amount, txSignature, oddsAtPlacement, betType, selection || String(horseNumber), currency]
         );
         
         return await this.getBet(id);
@@ -395,19 +572,38 @@ class PumpPoniesDB {
         return result.rows;
     }
 
+    /**
+     * Bets still in the pools (refunded bets are excluded from pools and settlement)
+     */
+    async getActiveBetsForRace(raceId) {
+        const result = await this.query(
+            "SELECT * FROM bets WHERE race_id = $1 AND payout_status IS DISTINCT FROM 'refunded' ORDER BY created_at",
+            [raceId]
+        );
+        return result.rows;
+    }
+
+    async markBetRefunded(betId) {
+        await this.query("UPDATE bets SET payout_status = 'refunded' WHERE id = $1", [betId]);
+    }
+
     async getBetsForUser(userWallet) {
         const result = await this.query('SELECT * FROM bets WHERE user_wallet = $1 ORDER BY created_at DESC', [userWallet]);
         return result.rows;
     }
 
-    async getRacePoolStats(raceId) {
+    async getRacePoolStats(raceId, betType = 'win') {
+        if (betType !== 'win') {
+            return await this.getSelectionPoolStats(raceId, betType);
+        }
+
         const result = await this.query(`
             SELECT 
                 horse_number,
                 COUNT(*) as bet_count,
-                COALESCE(SUM(amount), 0) as total_amount
+                COALESCE(SUM(amount), 0)::BIGINT as total_amount
             FROM bets 
-            WHERE race_id = $1
+            WHERE race_id = $1 AND bet_type = 'win' AND payout_status IS DISTINCT FROM 'refunded'
             GROUP BY horse_number
         `, [raceId]);
 
@@ -415,7 +611,7 @@ class PumpPoniesDB {
         result.rows.forEach(s => {
             pools[s.horse_number] = {
                 bets: parseInt(s.bet_count),
-                amount: parseFloat(s.total_amount) || 0
+                amount: s.total_amount
             };
         });
 
@@ -432,13 +628,52 @@ class PumpPoniesDB {
         return pools;
     }
 
-    async updateBetWinnings(betId, winnings) {
-        await this.query('UPDATE bets SET winnings = $1 WHERE id = $2', [winnings, betId]);
+    /**
+     * Pool stats for a non-win bet type, keyed by selection (e.g. "3" for place, "3-5" for exacta)
+     */
+    async getSelectionPoolStats(raceId, betType) {
+        const result = await this.query(`
+            SELECT 
+                selection,
+                COUNT(*) as bet_count,
+                COALESCE(SUM(amount), 0)::BIGINT as total_amount
+            FROM bets 
+            WHERE race_id = $1 AND bet_type = $2 AND payout_status IS DISTINCT FROM 'refunded'
+            GROUP BY selection
+        `, [raceId, betType]);
+
+        const pools = {};
+        result.rows.forEach(s => {
+            pools[s.selection] = {
+                bets: parseInt(s.bet_count),
+                amount: s.total_amount
+            };
+        });
+
+        return pools;
+    }
+
+    /**
+     * Pool stats for every bet type, keyed by bet type
+     */
+    async getAllPoolStats(raceId) {
+        const allPools = {};
+        for (const betType of Object.keys(BET_TYPES)) {
+            allPools[betType] = await this.getRacePoolStats(raceId, betType);
+        }
+        return allPools;
+    }
+
+    async updateBetWinnings(betId, winnings, deadHeatFactor = null) {
+        await this.query(
+            'UPDATE bets SET winnings = $1, dead_heat_factor = $2 WHERE id = $3',
+            [winnings, deadHeatFactor, betId]
+        );
     }
 
     async getWinningBets(raceId, winningHorse) {
         const result = await this.query(
-            'SELECT * FROM bets WHERE race_id = $1 AND horse_number = $2',
+            "SELECT * FROM bets WHERE race_id = $1 AND bet_type = 'win' AND horse_number = $2",
             [raceId, winningHorse]
         );
         return result.rows;
@@ -448,13 +683,22 @@ class PumpPoniesDB {
     // PAYOUT OPERATIONS
     // ===================
 
-    async createPayout(id, betId, userWallet, amount) {
+    /**
+     * Queue a bet's payout; a bet that already has one keeps it (settlement can be re-run)
+     */
+    async createPayout(id, betId, userWallet, amount, currency = 'SOL') {
         await this.query(
-            `INSERT INTO payouts (id, bet_id, user_wallet, amount) VALUES ($1, $2, $3, $4)`,
-            [id, betId, userWallet, amount]
+            `INSERT INTO payouts (id, bet_id, user_wallet, amount, currency) VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (bet_id) DO NOTHING`,
+            [id, betId, userWallet, amount, currency]
         );
-        
-        return await this.getPayout(id);
+
+        return await this.getPayoutForBet(betId);
+    }
+
+    async getPayoutForBet(betId) {
+        const result = await this.query('SELECT * FROM payouts WHERE bet_id = $1', [betId]);
+        return result.rows[0] || null;
     }
 
     async getPayout(id) {
@@ -493,6 +737,324 @@ class PumpPoniesDB {
         return await this.getPayout(id);
     }
 
+    /**
+     * Put a failed payout back in the queue to be retried after nextAttemptAt
+     * The old signed transaction is dropped; only call this once it can no longer land
+     */
+    async schedulePayoutRetry(id, attempts, nextAttemptAt, errorMessage) {
+        await this.query(
+            `UPDATE payouts SET status = 'pending', attempts = $1, next_attempt_at = $2, error_message = $3,
+                transaction_signature = NULL, signed_transaction = NULL, last_valid_block_height = NULL
+             WHERE id = $4`,
+            [attempts, nextAttemptAt, errorMessage, id]
+        );
+        return await this.getPayout(id);
+    }
+
+    /**
+     * Record the signed transaction for a set of payouts before it is broadcast
+     */
+    async recordPayoutTransaction(ids, signature, signedTransaction, lastValidBlockHeight) {
+        await this.query(
+            `UPDATE payouts SET status = 'processing', transaction_signature = $1, signed_transaction = $2, last_valid_block_height = $3
+             WHERE id = ANY($4)`,
+            [signature, signedTransaction, lastValidBlockHeight, ids]
+        );
+    }
+
+    /**
+     * Payouts that were being sent when the last run stopped
+     */
+    async getProcessingPayouts() {
+        const result = await this.query("SELECT * FROM payouts WHERE status = 'processing' ORDER BY created_at");
+        return result.rows;
+    }
+
+    // ===================
+    // SIGNATURE OPERATIONS
+    // ===================
+
+    async isSignatureProcessed(signature) {
+        const result = await this.query('SELECT 1 FROM processed_signatures WHERE signature = $1', [signature]);
+        return result.rows.length > 0;
+    }
+
+    async getProcessedSignature(signature) {
+        const result = await this.query('SELECT * FROM processed_signatures WHERE signature = $1', [signature]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Record a signature as processed
+     * @returns {Promise<boolean>} - false if it was already recorded (someone else got there first)
+     */
+    async markSignatureProcessed(signature, kind, referenceId = null) {
+        const result = await this.query(
+            `INSERT INTO processed_signatures (signature, kind, reference_id) VALUES ($1, $2, $3)
+             ON CONFLICT (signature) DO NOTHING RETURNING signature`,
+            [signature, kind, referenceId]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Which of these signatures have been processed, and as what
+     * @returns {Promise<Map>} signature -> row
+     */
+    async getProcessedSignatures(signatures) {
+        if (signatures.length === 0) return new Map();
+        const result = await this.query('SELECT * FROM processed_signatures WHERE signature = ANY($1)', [signatures]);
+        return new Map(result.rows.map(row => [row.signature, row]));
+    }
+
+    // ===================
+    // RECONCILIATION QUERIES
+    // ===================
+
+    async getDepositsCreatedSince(since) {
+        const result = await this.query(
+            'SELECT * FROM deposit_addresses WHERE created_at >= $1 ORDER BY created_at',
+            [since]
+        );
+        return result.rows;
+    }
+
+    async getBetsBySignatures(signatures) {
+        if (signatures.length === 0) return [];
+        const result = await this.query('SELECT * FROM bets WHERE transaction_signature = ANY($1)', [signatures]);
+        return result.rows;
+    }
+
+    async getRefundsForDeposits(depositIds) {
+        if (depositIds.length === 0) return [];
+        const result = await this.query('SELECT * FROM refunds WHERE deposit_id = ANY($1)', [depositIds]);
+        return result.rows;
+    }
+
+    /**
+     * Payouts still not sent that were queued before a cutoff
+     */
+    async getOverduePayouts(before) {
+        const result = await this.query(
+            "SELECT * FROM payouts WHERE status <> 'completed' AND created_at < $1 ORDER BY created_at",
+            [before]
+        );
+        return result.rows;
+    }
+
+    async getCompletedPayoutsSince(since) {
+        const result = await this.query(
+            "SELECT * FROM payouts WHERE status = 'completed' AND processed_at >= $1 ORDER BY processed_at",
+            [since]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Refunds still not sent that were queued before a cutoff
+     */
+    async getOverdueRefunds(before) {
+        const result = await this.query(
+            "SELECT * FROM refunds WHERE status <> 'completed' AND created_at < $1 ORDER BY created_at",
+            [before]
+        );
+        return result.rows;
+    }
+
+    async getCompletedRefundsSince(since) {
+        const result = await this.query(
+            "SELECT * FROM refunds WHERE status = 'completed' AND processed_at >= $1 ORDER BY processed_at",
+            [since]
+        );
+        return result.rows;
+    }
+
+    // ===================
+    // LEDGER OPERATIONS
+    // ===================
+
+    /**
+     * Record a fund movement as a balanced ledger transaction
+     * @param {string} kind - One of KINDS in utils/ledger
+     * @param {string} referenceId - What moved the funds (signature, race, payout or refund id)
+     * @param {Array} lines - [{ account, currency, amount }], debits positive, summing to zero per currency
+     * @returns {Promise<boolean>} - false if this movement was already recorded
+     */
+    async postLedgerTransaction(kind, referenceId, lines, { raceId = null, memo = null } = {}) {
+        if (!LEDGER_KINDS.includes(kind)) {
+            throw new Error(`Unknown ledger transaction kind: ${kind}`);
+        }
+        const entries = lines.filter(line => line.amount !== 0);
+        for (const line of entries) {
+            if (!LEDGER_ACCOUNTS[line.account]) {
+                throw new Error(`Unknown ledger account: ${line.account}`);
+            }
+            if (!Number.isSafeInteger(line.amount)) {
+                throw new Error(`Ledger amounts must be integer base units, got ${line.amount}`);
+            }
+        }
+        const unbalanced = ledgerImbalances(entries);
+        if (Object.keys(unbalanced).length > 0) {
+            throw new Error(`Unbalanced ${kind} ledger transaction ${referenceId}: ${JSON.stringify(unbalanced)}`);
+        }
+
+        return await this.withTransaction(async (tx) => {
+            const result = await tx.query(
+                `INSERT INTO ledger_transactions (kind, reference_id, race_id, memo) VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (kind, reference_id) DO NOTHING RETURNING id`,
+                [kind, referenceId, raceId, memo]
+            );
+            if (result.rows.length === 0) return false;
+
+            for (const entry of entries) {
+                await tx.query(
+                    'INSERT INTO ledger_entries (transaction_id, account, currency, amount) VALUES ($1, $2, $3, $4)',
+                    [result.rows[0].id, entry.account, entry.currency, entry.amount]
+                );
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Debits minus credits per account and currency
+     */
+    async getLedgerBalances() {
+        const result = await this.query(`
+            SELECT account, currency, SUM(amount)::BIGINT AS balance, COUNT(*)::INTEGER AS entries
+            FROM ledger_entries
+            GROUP BY account, currency
+            ORDER BY account, currency
+        `);
+        return result.rows;
+    }
+
+    /**
+     * Ledger transactions whose entries don't sum to zero (only possible through edits outside the app)
+     */
+    async getUnbalancedLedgerTransactions() {
+        const result = await this.query(`
+            SELECT t.id, t.kind, t.reference_id, t.race_id, e.currency, SUM(e.amount)::BIGINT AS net
+            FROM ledger_transactions t
+            JOIN ledger_entries e ON e.transaction_id = t.id
+            GROUP BY t.id, e.currency
+            HAVING SUM(e.amount) <> 0
+            ORDER BY t.id
+        `);
+        return result.rows;
+    }
+
+    /**
+     * What the liability accounts should hold according to the bets, payouts and refunds tables
+     * @returns {Promise<Array>} [{ account, currency, amount }]
+     */
+    async getExpectedLiabilities() {
+        const result = await this.query(`
+            SELECT 'bets' AS account, b.currency, SUM(b.amount)::BIGINT AS amount
+            FROM bets b JOIN races r ON r.id = b.race_id
+            WHERE r.status NOT IN ('completed', 'cancelled') AND b.payout_status IS DISTINCT FROM 'refunded'
+            GROUP BY b.currency
+            UNION ALL
+            SELECT 'payouts_owed', currency, SUM(amount)::BIGINT FROM payouts WHERE status <> 'completed' GROUP BY currency
+            UNION ALL
+            SELECT 'refunds_owed', currency, SUM(amount)::BIGINT FROM refunds WHERE status <> 'completed' GROUP BY currency
+        `);
+        return result.rows;
+    }
+
+    /**
+     * Recent ledger transactions with their entries
+     */
+    async getLedgerTransactions({ kind = null, raceId = null, account = null, limit = 100 } = {}) {
+        const result = await this.query(`
+            SELECT t.*, json_agg(json_build_object('account', e.account, 'currency', e.currency, 'amount', e.amount) ORDER BY e.id) AS entries
+            FROM ledger_transactions t
+            JOIN ledger_entries e ON e.transaction_id = t.id
+            WHERE ($1::TEXT IS NULL OR t.kind = $1)
+              AND ($2::TEXT IS NULL OR t.race_id = $2)
+              AND ($3::TEXT IS NULL OR t.id IN (SELECT transaction_id FROM ledger_entries WHERE account = $3))
+            GROUP BY t.id
+            ORDER BY t.id DESC
+            LIMIT $4
+        `, [kind, raceId, account, limit]);
+        return result.rows;
+    }
+
+    // ===================
+    // SCHEDULE OPERATIONS
+    // ===================
+
+    async createSchedule(id, titleTemplate, horses, intervalMinutes, createLeadMinutes, openLeadMinutes, firstStartTime, currency = 'SOL') {
+        await this.query(
+            `INSERT INTO race_schedules (id, title_template, horses, interval_minutes, create_lead_minutes, open_lead_minutes, next_start_time, currency) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [id, titleTemplate, JSON.stringify(horses), intervalMinutes, createLeadMinutes, openLeadMinutes, firstStartTime, currency]
+        );
+        return await this.getSchedule(id);
+    }
+
+    async getSchedule(id) {
+        const result = await this.query('SELECT * FROM race_schedules WHERE id = $1', [id]);
+        const schedule = result.rows[0];
+        if (!schedule) return null;
+        return { ...schedule, horses: JSON.parse(schedule.horses) };
+    }
+
+    /**
+     * Lock an enabled schedule for the rest of the transaction and return it freshly read
+     * Returns null if it is disabled, gone, or locked by another instance (SKIP LOCKED)
+     */
+    async lockSchedule(id) {
+        const result = await this.query(
+            'SELECT id FROM race_schedules WHERE id = $1 AND enabled = TRUE FOR UPDATE SKIP LOCKED',
+            [id]
+        );
+        if (result.rows.length === 0) return null;
+        return await this.getSchedule(id);
+    }
+
+    async getSchedules(enabledOnly = false) {
+        const result = await this.query(
+            enabledOnly
+                ? 'SELECT * FROM race_schedules WHERE enabled = TRUE ORDER BY created_at'
+                : 'SELECT * FROM race_schedules ORDER BY created_at'
+        );
+        return result.rows.map(s => ({ ...s, horses: JSON.parse(s.horses) }));
+    }
+
+    async setScheduleEnabled(id, enabled) {
+        await this.query('UPDATE race_schedules SET enabled = $1 WHERE id = $2', [enabled, id]);
+        return await this.getSchedule(id);
+    }
+
+    async advanceSchedule(id, nextStartTime, raceCount) {
+        await this.query(
+            'UPDATE race_schedules SET next_start_time = $1, race_count = $2 WHERE id = $3',
+            [nextStartTime, raceCount, id]
+        );
+    }
+
+    /**
+     * Scheduled races still pending whose open lead time has been reached
+     */
+    async getScheduledRacesToOpen(now) {
+        const result = await this.query(`
+            SELECT r.id FROM races r JOIN race_schedules s ON r.schedule_id = s.id
+            WHERE r.status = 'pending' AND r.start_time - s.open_lead_minutes * 60 <= $1
+        `, [now]);
+        return result.rows.map(r => r.id);
+    }
+
+    /**
+     * Scheduled races still open whose start time has passed
+     */
+    async getScheduledRacesToClose(now) {
+        const result = await this.query(
+            "SELECT id FROM races WHERE schedule_id IS NOT NULL AND status = 'open' AND start_time <= $1",
+            [now]
+        );
+        return result.rows.map(r => r.id);
+    }
+
     // ===================
     // CONFIG OPERATIONS
     // ===================
@@ -510,6 +1072,232 @@ class PumpPoniesDB {
         return result.rows[0]?.value || null;
     }
 
+    // ===================
+    // ADMIN ACCOUNTS
+    // ===================
+
+    async createAdminAccount(id, name, role, createdBy = null) {
+        await this.query(
+            'INSERT INTO admin_accounts (id, name, role, created_by) VALUES ($1, $2, $3, $4)',
+            [id, name, role, createdBy]
+        );
+        return await this.getAdminAccount(id);
+    }
+
+    async getAdminAccount(id) {
+        const result = await this.query('SELECT * FROM admin_accounts WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    async getAdminAccountByName(name) {
+        const result = await this.query('SELECT * FROM admin_accounts WHERE name = $1', [name]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Block other account inserts until the surrounding transaction ends
+     */
+    async lockAdminAccounts() {
+        await this.query('LOCK TABLE admin_accounts IN SHARE ROW EXCLUSIVE MODE');
+    }
+
+    async hasAdminAccounts() {
+        const result = await this.query('SELECT 1 FROM admin_accounts LIMIT 1');
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Every account with its keys (hashes left out)
+     */
+    async getAdminAccounts() {
+        const accounts = await this.query('SELECT * FROM admin_accounts ORDER BY created_at');
+        const keys = await this.query(`
+            SELECT id, admin_id, key_prefix, label, created_by, created_at, last_used_at, revoked_at, revoked_by
+            FROM admin_api_keys ORDER BY created_at
+        `);
+        return accounts.rows.map(account => ({
+            ...account,
+            keys: keys.rows.filter(k => k.admin_id === account.id)
+        }));
+    }
+
+    async createAdminKey(id, adminId, keyHash, keyPrefix, label = null, createdBy = null) {
+        await this.query(
+            'INSERT INTO admin_api_keys (id, admin_id, key_hash, key_prefix, label, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+            [id, adminId, keyHash, keyPrefix, label, createdBy]
+        );
+    }
+
+    async getAdminKey(id) {
+        const result = await this.query(
+            'SELECT id, admin_id, key_prefix, label, created_at, last_used_at, revoked_at, revoked_by FROM admin_api_keys WHERE id = $1',
+            [id]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * The account behind an unrevoked key, or null
+     */
+    async getAdminByKeyHash(keyHash) {
+        const result = await this.query(`
+            SELECT a.id, a.name, a.role, k.id AS key_id
+            FROM admin_api_keys k JOIN admin_accounts a ON a.id = k.admin_id
+            WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+        `, [keyHash]);
+        return result.rows[0] || null;
+    }
+
+    async touchAdminKey(id) {
+        const now = Math.floor(Date.now() / 1000);
+        await this.query('UPDATE admin_api_keys SET last_used_at = $1 WHERE id = $2', [now, id]);
+    }
+
+    async revokeAdminKey(id, revokedBy) {
+        const now = Math.floor(Date.now() / 1000);
+        const result = await this.query(
+            'UPDATE admin_api_keys SET revoked_at = $1, revoked_by = $2 WHERE id = $3 AND revoked_at IS NULL',
+            [now, revokedBy, id]
+        );
+        return result.rowCount > 0;
+    }
+
+    // ===================
+    // AUDIT LOG
+    // ===================
+
+    /**
+     * Append an entry, chained to the last one. The advisory lock serializes writers
+     * (across server instances too) so no two entries share a prev_hash
+     */
+    async appendAuditEntry(entry) {
+        return await this.withTransaction(async (tx) => {
+            await tx.query("SELECT pg_advisory_xact_lock(hashtext('audit_log'))");
+            const last = await tx.query('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1');
+            const prevHash = last.rows[0]?.hash || GENESIS_HASH;
+            const hash = hashAuditEntry(prevHash, entry);
+
+            const columns = [...AUDIT_FIELDS, 'prev_hash', 'hash'];
+            const values = [...AUDIT_FIELDS.map(field => entry[field] ?? null), prevHash, hash];
+            const result = await tx.query(
+                `INSERT INTO audit_log (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id`,
+                values
+            );
+            return result.rows[0].id;
+        });
+    }
+
+    /**
+     * A page of audit entries, newest first, with the total matching the filters
+     */
+    async getAuditEntries(filters = {}, { limit = 100, offset = 0 } = {}) {
+        const { where, params } = auditFilter(filters);
+        const total = await this.query(`SELECT COUNT(*)::BIGINT AS count FROM audit_log ${where}`, params);
+        const rows = await this.query(
+            `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+        return { entries: rows.rows, total: total.rows[0].count };
+    }
+
+    /**
+     * Matching audit entries after an id, oldest first (for exports and chain verification)
+     */
+    async getAuditEntriesAfter(afterId, filters = {}, limit = 1000) {
+        const { where, params } = auditFilter(filters, [afterId]);
+        const result = await this.query(
+            `SELECT * FROM audit_log ${where ? `${where} AND` : 'WHERE'} id > $1 ORDER BY id LIMIT $${params.length + 1}`,
+            [...params, limit]
+        );
+        return result.rows;
+    }
+
+    // ===================
+    // RATE LIMITS
+    // ===================
+
+    /**
+     * Count a hit in a key's current window (times in ms) and read the previous window's count
+     */
+    async hitRateLimit(key, windowStart, windowMs) {
+        const result = await this.query(`
+            WITH hit AS (
+                INSERT INTO rate_limit_counters (key, window_start, count, expires_at) VALUES ($1, $2, 1, $3)
+                ON CONFLICT (key, window_start) DO UPDATE SET count = rate_limit_counters.count + 1
+                RETURNING count
+            )
+            SELECT (SELECT count FROM hit) AS current,
+                   COALESCE((SELECT count FROM rate_limit_counters WHERE key = $1 AND window_start = $4), 0) AS previous
+        `, [key, windowStart, windowStart + 2 * windowMs, windowStart - windowMs]);
+        return result.rows[0];
+    }
+
+    async deleteExpiredRateLimits(now) {
+        await this.query('DELETE FROM rate_limit_counters WHERE expires_at <= $1', [now]);
+    }
+
+    // ===================
+    // ADMIN ACTIONS (two-person approval)
+    // ===================
+
+    async createAdminAction(id, action, params, proposedBy, proposedAt, expiresAt) {
+        await this.query(
+            'INSERT INTO admin_actions (id, action, params, proposed_by, proposed_at, expires_at) VALUES ($1, $2, $3, $4, $5, $6)',
+            [id, action, JSON.stringify(params || {}), proposedBy, proposedAt, expiresAt]
+        );
+        return await this.getAdminAction(id);
+    }
+
+    async getAdminAction(id) {
+        const result = await this.query('SELECT * FROM admin_actions WHERE id = $1', [id]);
+        return result.rows[0] ? adminActionRow(result.rows[0]) : null;
+    }
+
+    async getAdminActions({ status = null, limit = 50 } = {}) {
+        const result = await this.query(
+            'SELECT * FROM admin_actions WHERE ($1::TEXT IS NULL OR status = $1) ORDER BY proposed_at DESC LIMIT $2',
+            [status, Math.min(Math.max(parseInt(limit) || 50, 1), 500)]
+        );
+        return result.rows.map(adminActionRow);
+    }
+
+    async expireAdminActions(now) {
+        await this.query(
+            "UPDATE admin_actions SET status = 'expired' WHERE status = 'pending' AND expires_at <= $1",
+            [now]
+        );
+    }
+
+    /**
+     * Move a pending, unexpired action to executing; returns null if someone else got there first
+     */
+    async claimAdminAction(id, approvedBy, now) {
+        const result = await this.query(`
+            UPDATE admin_actions SET status = 'executing', approved_by = $1, approved_at = $2
+            WHERE id = $3 AND status = 'pending' AND expires_at > $2
+            RETURNING *
+        `, [approvedBy, now, id]);
+        return result.rows[0] ? adminActionRow(result.rows[0]) : null;
+    }
+
+    async finishAdminAction(id, status, result, error) {
+        const now = Math.floor(Date.now() / 1000);
+        await this.query(
+            'UPDATE admin_actions SET status = $1, executed_at = $2, result = $3, error = $4 WHERE id = $5',
+            [status, now, result === null ? null : JSON.stringify(result), error, id]
+        );
+        return await this.getAdminAction(id);
+    }
+
+    async rejectAdminAction(id, rejectedBy, now, reason = null) {
+        const result = await this.query(`
+            UPDATE admin_actions SET status = 'rejected', rejected_by = $1, rejected_at = $2, reject_reason = $3
+            WHERE id = $4 AND status = 'pending'
+            RETURNING *
+        `, [rejectedBy, now, reason, id]);
+        return result.rows[0] ? adminActionRow(result.rows[0]) : null;
+    }
+
     // ===================
     // DIRECT QUERY ACCESS (for admin endpoints)
     // ===================
@@ -0,0 +1,199 @@
+/**
+ * Rate limiting with a pluggable store
+ * Limits are sliding windows: the count is this window's hits plus the previous window's
+ * hits weighted by how much of it still overlaps the last windowMs. Stores only keep one
+ * counter per key per fixed window, so the Postgres store shares limits between instances.
+ *
+ * A store implements:
+ *   hit(key, windowStart, windowMs) -> { current, previous }   count a hit and read both windows
+ *   cleanup(now)                                               drop counters that can no longer matter
+ */
+
+const net = require('net');
+
+/**
+ * In-process store (single instance, resets on restart)
+ */
+class MemoryRateLimitStore {
+    constructor() {
+        this.counters = new Map();   // `${key}@${windowStart}` -> { count, expiresAt }
+    }
+
+    async hit(key, windowStart, windowMs) {
+        const id = `${key}@${windowStart}`;
+        const counter = this.counters.get(id) || { count: 0, expiresAt: windowStart + 2 * windowMs };
+        counter.count++;
+        this.counters.set(id, counter);
+        const previous = this.counters.get(`${key}@${windowStart - windowMs}`);
+        return { current: counter.count, previous: previous ? previous.count : 0 };
+    }
+
+    async cleanup(now) {
+        for (const [id, counter] of this.counters.entries()) {
+            if (counter.expiresAt <= now) this.counters.delete(id);
+        }
+    }
+}
+
+/**
+ * Postgres store (rate_limit_counters), shared by every instance using the database
+ */
+class PostgresRateLimitStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async hit(key, windowStart, windowMs) {
+        return await this.db.hitRateLimit(key, windowStart, windowMs);
+    }
+
+    async cleanup(now) {
+        await this.db.deleteExpiredRateLimits(now);
+    }
+}
+
+/**
+ * Allowlist of IPs and CIDR ranges (IPv4 or IPv6)
+ */
+function parseAllowlist(entries) {
+    const list = new net.BlockList();
+    for (const entry of entries) {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (!net.isIP(address)) {
+            throw new Error(`Invalid rate limit allowlist entry: ${entry}`);
+        }
+        if (prefix !== undefined) {
+            list.addSubnet(address, parseInt(prefix, 10), type);
+        } else {
+            list.addAddress(address, type);
+        }
+    }
+    return list;
+}
+
+class RateLimiter {
+    /**
+     * @param {Object} store - MemoryRateLimitStore, PostgresRateLimitStore or anything with hit/cleanup
+     * @param {Object} config - { windowMs, limits: { name: { limit, by } }, allowlist: [ip or cidr] }
+     */
+    constructor(store, config = {}) {
+        this.store = store;
+        this.windowMs = config.windowMs || 60000;
+        this.limits = config.limits || {};
+        this.allowlist = parseAllowlist(config.allowlist || []);
+        this.cleanupIntervalMs = config.cleanupIntervalMs || 5 * 60 * 1000;
+        this.cleanupHandle = null;
+    }
+
+    start() {
+        if (this.cleanupHandle) return;
+        this.cleanupHandle = setInterval(() => {
+            this.store.cleanup(Date.now()).catch(error => {
+                console.error('[RATE LIMIT] Cleanup failed:', error.message);
+            });
+        }, this.cleanupIntervalMs);
+        this.cleanupHandle.unref();
+    }
+
+    stop() {
+        if (this.cleanupHandle) {
+            clearInterval(this.cleanupHandle);
+            this.cleanupHandle = null;
+        }
+    }
+
+    isAllowlisted(ip) {
+        if (!ip) return false;
+        const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+        return this.allowlist.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    }
+
+    /**
+     * Count a hit against a key and return its sliding-window state
+     */
+    async check(key, limit, now = Date.now()) {
+        const windowStart = Math.floor(now / this.windowMs) * this.windowMs;
+        const { current, previous } = await this.store.hit(key, windowStart, this.windowMs);
+        const overlap = 1 - (now - windowStart) / this.windowMs;
+        const count = Math.floor(previous * overlap) + current;
+        return {
+            limit,
+            count,
+            remaining: Math.max(0, limit - count),
+            reset: Math.ceil((windowStart + this.windowMs) / 1000),
+            allowed: count <= limit
+        };
+    }
+
+    /**
+     * Middleware for a named limit. Each name has its own counters, so a limiter attached to a
+     * single route gives that route its own budget. `by` picks the keys counted:
+     *   ip      the client IP
+     *   wallet  the wallet in the body (user_wallet) or route (:wallet); skipped when absent
+     * A request must be under the limit for every key
+     */
+    limit(name) {
+        const config = this.limits[name];
+        if (!config) {
+            throw new Error(`Unknown rate limit: ${name}`);
+        }
+        const by = config.by || ['ip'];
+
+        return async (req, res, next) => {
+            const ip = req.ip || req.connection.remoteAddress || 'unknown';
+            if (this.isAllowlisted(ip)) {
+                return next();
+            }
+
+            const keys = {
+                ip,
+                wallet: req.body?.user_wallet || req.params?.wallet || null
+            };
+
+            let tightest = null;
+            try {
+                for (const dimension of by) {
+                    if (!keys[dimension]) continue;
+                    const result = await this.check(`${name}:${dimension}:${String(keys[dimension]).slice(0, 100)}`, config.limit);
+                    if (!tightest || result.remaining < tightest.remaining || !result.allowed) {
+                        tightest = { ...result, dimension };
+                    }
+                    if (!result.allowed) break;
+                }
+            } catch (error) {
+                // Fail open: a store outage shouldn't take the API down with it
+                console.error(`[RATE LIMIT] Store unavailable, allowing request (${name}):`, error.message);
+                return next();
+            }
+
+            if (!tightest) {
+                return next();
+            }
+
+            // Add rate limit headers
+            res.set('X-RateLimit-Limit', tightest.limit);
+            res.set('X-RateLimit-Remaining', tightest.remaining);
+            res.set('X-RateLimit-Reset', tightest.reset);
+
+            if (!tightest.allowed) {
+                const retryAfter = Math.max(1, tightest.reset - Math.floor(Date.now() / 1000));
+                console.warn(`[SECURITY] Rate limit exceeded: ${tightest.dimension} ${keys[tightest.dimension]} (${name})`);
+                res.set('Retry-After', retryAfter);
+                return res.status(429).json({
+                    success: false,
+                    error: 'Too many requests. Please try again later.',
+                    retry_after: retryAfter
+                });
+            }
+
+            next();
+        };
+    }
+}
+
+module.exports = {
+    RateLimiter,
+    MemoryRateLimitStore,
+    PostgresRateLimitStore
+};
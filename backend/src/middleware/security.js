@@ -3,62 +3,8 @@
  * Comprehensive protection against common attack vectors
  */
 
-// In-memory rate limiting store
-const rateLimitStore = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const RATE_LIMITS = {
-    public: 120,     // 120 requests per minute for public endpoints
-    betting: 60,     // 60 deposit address requests per minute per IP
-    admin: 60        // 60 admin requests per minute
-};
-
-// Cleanup old entries every 5 minutes
-setInterval(() => {
-    const now = Date.now();
-    for (const [key, data] of rateLimitStore.entries()) {
-        if (now - data.windowStart > RATE_LIMIT_WINDOW * 2) {
-            rateLimitStore.delete(key);
-        }
-    }
-}, 5 * 60 * 1000);
-
-/**
- * Rate limiting middleware
- */
-function rateLimit(type = 'public') {
-    const limit = RATE_LIMITS[type] || RATE_LIMITS.public;
-    
-    return (req, res, next) => {
-        const ip = req.ip || req.connection.remoteAddress || 'unknown';
-        const key = `${type}:${ip}`;
-        const now = Date.now();
-        
-        let data = rateLimitStore.get(key);
-        
-        if (!data || now - data.windowStart > RATE_LIMIT_WINDOW) {
-            data = { count: 1, windowStart: now };
-            rateLimitStore.set(key, data);
-        } else {
-            data.count++;
-        }
-        
-        // Add rate limit headers
-        res.set('X-RateLimit-Limit', limit);
-        res.set('X-RateLimit-Remaining', Math.max(0, limit - data.count));
-        res.set('X-RateLimit-Reset', Math.ceil((data.windowStart + RATE_LIMIT_WINDOW) / 1000));
-        
-        if (data.count > limit) {
-            console.warn(`[SECURITY] Rate limit exceeded: ${ip} (${type})`);
-            return res.status(429).json({
-                success: false,
-                error: 'Too many requests. Please try again later.',
-                retry_after: Math.ceil((data.windowStart + RATE_LIMIT_WINDOW - now) / 1000)
-            });
-        }
-        
-        next();
-    };
-}
+const { BET_TYPES, isValidBetType } = require('../utils/bet-types');
+const { redactBody } = require('../utils/audit');
 
 /**
  * Input sanitization - removes dangerous characters and validates types
@@ -95,49 +41,47 @@ function sanitizeInput(req, res, next) {
 }
 
 /**
- * Audit logging - logs all requests for security review
+ * Audit logging - writes admin requests and every state-changing request (not public reads)
+ * to the hash-chained audit_log table once the response is sent
+ * @param {PumpPoniesDB} db
  */
-const auditLog = [];
-const MAX_AUDIT_LOG = 10000;
-
-function auditLogger(req, res, next) {
-    const entry = {
-        timestamp: new Date().toISOString(),
-        method: req.method,
-        path: req.path,
-        ip: req.ip || req.connection.remoteAddress,
-        userAgent: req.get('User-Agent')?.slice(0, 200),
-        isAdmin: req.path.startsWith('/admin'),
-        body: req.method === 'POST' ? { ...req.body, private_key: '[REDACTED]' } : undefined
-    };
-    
-    // Add to in-memory log
-    auditLog.push(entry);
-    if (auditLog.length > MAX_AUDIT_LOG) {
-        auditLog.shift();
-    }
-    
-    // Log admin actions to console
-    if (entry.isAdmin) {
-        console.log(`[AUDIT] ${entry.timestamp} ${entry.method} ${entry.path} from ${entry.ip}`);
-    }
-    
-    // Track response status
-    const originalSend = res.send;
-    res.send = function(body) {
-        entry.status = res.statusCode;
-        entry.success = res.statusCode < 400;
-        return originalSend.call(this, body);
+function auditLogger(db) {
+    return (req, res, next) => {
+        const isAdmin = req.path.startsWith('/admin');
+        if (!isAdmin && req.method === 'GET') {
+            return next();
+        }
+        
+        const createdAt = Math.floor(Date.now() / 1000);
+        const query = Object.keys(req.query || {}).length > 0 ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : null;
+        
+        res.on('finish', () => {
+            const entry = {
+                created_at: createdAt,
+                method: req.method,
+                path: req.path,
+                query,
+                ip: req.ip || req.connection.remoteAddress,
+                user_agent: req.get('User-Agent')?.slice(0, 200) || null,
+                // Set by adminAuth once the request is authenticated
+                admin: req.admin?.name || null,
+                admin_role: req.admin?.role || null,
+                status: res.statusCode,
+                body: req.method === 'GET' ? null : redactBody(req.body)
+            };
+            
+            // Log admin actions to console
+            if (isAdmin) {
+                console.log(`[AUDIT] ${new Date(createdAt * 1000).toISOString()} ${entry.method} ${entry.path} by ${entry.admin || 'unauthenticated'} from ${entry.ip} (${entry.status})`);
+            }
+            
+            db.appendAuditEntry(entry).catch(error => {
+                console.error(`[AUDIT] Could not persist ${entry.method} ${entry.path} by ${entry.admin || 'unauthenticated'}:`, error.message);
+            });
+        });
+        
+        next();
     };
-    
-    next();
-}
-
-/**
- * Get audit logs (for admin review)
- */
-function getAuditLogs(limit = 100) {
-    return auditLog.slice(-limit).reverse();
 }
 
 /**
@@ -192,6 +136,15 @@ function isValidHorseNumber(num) {
     return !isNaN(n) && n >= 1 && n <= 10;
 }
 
+/**
+ * Validate a list of horse numbers (exotic selections, finishing orders)
+ */
+function isValidHorseList(list) {
+    if (!Array.isArray(list) || list.length === 0 || list.length > 10) return false;
+    if (!list.every(isValidHorseNumber)) return false;
+    return new Set(list.map(n => parseInt(n))).size === list.length;
+}
+
 /**
  * Request validation middleware generator
  */
@@ -230,6 +183,12 @@ function validateRequest(schema) {
                 if (rules.type === 'horse_number' && !isValidHorseNumber(value)) {
                     errors.push(`${field} must be a valid horse number (1-10)`);
                 }
+                if (rules.type === 'horse_list' && !isValidHorseList(value)) {
+                    errors.push(`${field} must be a list of distinct horse numbers (1-10)`);
+                }
+                if (rules.type === 'bet_type' && !isValidBetType(value)) {
+                    errors.push(`${field} must be one of: ${Object.keys(BET_TYPES).join(', ')}`);
+                }
                 if (rules.maxLength && typeof value === 'string' && value.length > rules.maxLength) {
                     errors.push(`${field} must be at most ${rules.maxLength} characters`);
                 }
@@ -274,38 +233,14 @@ function checkNonce(nonce) {
     return true;
 }
 
-/**
- * Transaction signature tracking (prevent double processing)
- */
-const processedSignatures = new Set();
-
-function isSignatureProcessed(signature) {
-    return processedSignatures.has(signature);
-}
-
-function markSignatureProcessed(signature) {
-    processedSignatures.add(signature);
-    
-    // Keep only last 50k signatures
-    if (processedSignatures.size > 50000) {
-        const iterator = processedSignatures.values();
-        for (let i = 0; i < 10000; i++) {
-            processedSignatures.delete(iterator.next().value);
-        }
-    }
-}
-
 module.exports = {
-    rateLimit,
     sanitizeInput,
     auditLogger,
-    getAuditLogs,
     securityHeaders,
     validateRequest,
     isValidSolanaAddress,
     isValidRaceId,
     isValidHorseNumber,
-    checkNonce,
-    isSignatureProcessed,
-    markSignatureProcessed
+    isValidHorseList,
+    checkNonce
 };
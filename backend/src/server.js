@@ -11,40 +11,84 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
-const { Connection } = require('@solana/web3.js');
 const WebSocket = require('ws');
 
 // Import services
 const PumpPoniesDB = require('./db/schema');
+const Migrator = require('./db/migrator');
 const WalletService = require('./services/wallet');
 const DepositMonitor = require('./services/monitor');
 const PayoutService = require('./services/payout');
+const RaceScheduler = require('./services/scheduler');
+const PayoutWorker = require('./services/payout-worker');
+const RpcPool = require('./services/rpc-pool');
+const Reconciler = require('./services/reconciler');
+const ApprovalService = require('./services/approvals');
+const { EXOTIC_BET_TYPES, normalizeSelection, parseSelection, normalizeFinishingOrder } = require('./utils/bet-types');
+const { isValidCurrency, getCurrency, listCurrencies, fromBaseUnits, formatAmount, toWholeUnits } = require('./utils/currencies');
+const ledger = require('./utils/ledger');
+const fairness = require('./utils/fairness');
+const adminKeys = require('./utils/admin-auth');
+const audit = require('./utils/audit');
 
 // Import security middleware
+const { RateLimiter, MemoryRateLimitStore, PostgresRateLimitStore } = require('./middleware/rate-limit');
 const {
-    rateLimit,
     sanitizeInput,
     auditLogger,
-    getAuditLogs,
     securityHeaders,
     validateRequest,
     isValidRaceId,
-    isSignatureProcessed,
-    markSignatureProcessed
+    isValidHorseList
 } = require('./middleware/security');
 
 // Configuration
 const PORT = process.env.PORT || 20101;
-const ADMIN_TOKEN = process.env.ADMIN_TOKEN || 'dev-admin-token';
+// Bootstrap token: only creates the first named account, and only while none exists
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const BOOTSTRAP_ADMIN = 'bootstrap';
 const SOLANA_RPC = process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com';
+// Comma-separated list for failover; the first URL is primary
+const SOLANA_RPC_URLS = (process.env.SOLANA_RPC_URLS || SOLANA_RPC).split(',').map(url => url.trim()).filter(Boolean);
+const RPC_HEALTH_CHECK_INTERVAL = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS || 30000);
 const DATABASE_URL = process.env.DATABASE_URL || 'postgresql://localhost:5432/pump_ponies';
-const MIN_BET = parseFloat(process.env.MIN_BET_SOL || 0.01);
-const MAX_BET = parseFloat(process.env.MAX_BET_SOL || 20);
 const DEPOSIT_EXPIRY_MINUTES = parseInt(process.env.DEPOSIT_EXPIRY_MINUTES || 30);
 const MONITOR_INTERVAL = parseInt(process.env.MONITOR_INTERVAL_MS || 5000);
+const DEPOSIT_DETECTION = process.env.DEPOSIT_DETECTION === 'subscription' ? 'subscription' : 'polling';
+const MONITOR_FALLBACK_INTERVAL = parseInt(process.env.MONITOR_FALLBACK_INTERVAL_MS || 60000);
+const DEPOSIT_COMMITMENT = process.env.DEPOSIT_COMMITMENT === 'finalized' ? 'finalized' : 'confirmed';
+const FINALIZED_THRESHOLD = parseFloat(process.env.FINALIZED_THRESHOLD_SOL || 0); // Bets this size or larger wait for finalized
+const CONFIRMATION_TIMEOUT_MINUTES = parseInt(process.env.CONFIRMATION_TIMEOUT_MINUTES || 30); // Past expiry, before a held transfer is given up on
+const SOLANA_WS = process.env.SOLANA_WS_URL; // Defaults to the RPC URL with ws(s)://
 const ENCRYPTION_SECRET = process.env.ENCRYPTION_SECRET; // For encrypting private keys in DB
 const HOUSE_WALLET = process.env.HOUSE_WALLET_ADDRESS; // Separate wallet for house cut
 const HOUSE_EDGE_PERCENT = parseFloat(process.env.HOUSE_EDGE_PERCENT || 5);
+const SCHEDULER_INTERVAL = parseInt(process.env.SCHEDULER_INTERVAL_MS || 10000);
+const AUTO_PAYOUTS = process.env.AUTO_PAYOUTS === 'true';
+const PAYOUT_WORKER_INTERVAL = parseInt(process.env.PAYOUT_WORKER_INTERVAL_MS || 30000);
+const RECONCILE_INTERVAL = parseInt(process.env.RECONCILE_INTERVAL_MS || 3600000); // 0 = only on request
+const APPROVAL_WINDOW_MINUTES = parseInt(process.env.APPROVAL_WINDOW_MINUTES || 30);
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE === 'memory' ? 'memory' : 'postgres';
+const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW_MS || 60000);
+// IPs and CIDR ranges never rate limited (our own monitoring)
+const RATE_LIMIT_ALLOWLIST = (process.env.RATE_LIMIT_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean);
+// Proxy hops in front of the server (Railway adds one), so req.ip is the client and not the proxy
+const TRUST_PROXY = process.env.TRUST_PROXY !== undefined
+    ? (/^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY)
+    : (process.env.NODE_ENV === 'production' ? 1 : false);
+
+// Requests per RATE_LIMIT_WINDOW_MS; override any with RATE_LIMIT_<NAME>
+const rateLimitFor = (name, limit, by = ['ip']) => ({
+    limit: parseInt(process.env[`RATE_LIMIT_${name.toUpperCase()}`] || limit),
+    by
+});
+const RATE_LIMITS = {
+    public: rateLimitFor('public', 120),                                     // Public reads per IP
+    betting: rateLimitFor('betting', 60),                                    // All /bet routes per IP
+    deposit_address: rateLimitFor('deposit_address', 20, ['ip', 'wallet']),  // New deposit addresses per IP and per wallet
+    wallet_bets: rateLimitFor('wallet_bets', 30, ['wallet']),                // Bet history lookups per wallet
+    admin: rateLimitFor('admin', 60)                                         // Admin routes per IP
+};
 
 // Default horse names
 const DEFAULT_HORSES = [
@@ -55,10 +99,15 @@ const DEFAULT_HORSES = [
 
 // Initialize services
 console.log('Initializing Pump Ponies Backend...');
-console.log(`Solana RPC: ${SOLANA_RPC}`);
-console.log(`Database: PostgreSQL`);
 
-const connection = new Connection(SOLANA_RPC, 'confirmed');
+const rpcPool = new RpcPool(SOLANA_RPC_URLS, {
+    commitment: 'confirmed',
+    wsEndpoint: SOLANA_WS,
+    healthCheckIntervalMs: RPC_HEALTH_CHECK_INTERVAL
+});
+console.log(`Solana RPC: ${rpcPool.getStats().map(e => e.url).join(', ')}`);
+console.log(`Database: PostgreSQL`);
+const connection = rpcPool.connection;
 const db = new PumpPoniesDB(DATABASE_URL, ENCRYPTION_SECRET);
 
 // Security check for encryption
@@ -71,8 +120,11 @@ if (!ENCRYPTION_SECRET || ENCRYPTION_SECRET.length < 32) {
 const walletService = new WalletService(connection);
 const depositMonitor = new DepositMonitor(db, walletService, {
     intervalMs: MONITOR_INTERVAL,
-    minBet: MIN_BET,
-    maxBet: MAX_BET
+    detectionMode: DEPOSIT_DETECTION,
+    fallbackIntervalMs: MONITOR_FALLBACK_INTERVAL,
+    commitment: DEPOSIT_COMMITMENT,
+    finalizedThreshold: FINALIZED_THRESHOLD,
+    confirmationTimeoutMinutes: CONFIRMATION_TIMEOUT_MINUTES
 });
 const payoutService = new PayoutService(
     connection, 
@@ -81,9 +133,106 @@ const payoutService = new PayoutService(
     HOUSE_WALLET,
     HOUSE_EDGE_PERCENT
 );
+const raceScheduler = new RaceScheduler(db, {
+    intervalMs: SCHEDULER_INTERVAL
+});
+const payoutWorker = new PayoutWorker(db, payoutService, {
+    intervalMs: PAYOUT_WORKER_INTERVAL,
+    retryBaseSeconds: parseInt(process.env.PAYOUT_RETRY_BASE_SECONDS || 30),
+    maxAttempts: parseInt(process.env.PAYOUT_MAX_ATTEMPTS || 5)
+});
+const reconciler = new Reconciler(db, walletService, payoutService, {
+    houseWalletAddress: HOUSE_WALLET,
+    intervalMs: RECONCILE_INTERVAL,
+    lookbackHours: parseInt(process.env.RECONCILE_LOOKBACK_HOURS || 72),
+    signatureLimit: parseInt(process.env.RECONCILE_SIGNATURE_LIMIT || 100),
+    graceMinutes: parseInt(process.env.RECONCILE_GRACE_MINUTES || 30)
+});
+const rateLimiter = new RateLimiter(
+    RATE_LIMIT_STORE === 'memory' ? new MemoryRateLimitStore() : new PostgresRateLimitStore(db),
+    { windowMs: RATE_LIMIT_WINDOW, limits: RATE_LIMITS, allowlist: RATE_LIMIT_ALLOWLIST }
+);
+const approvals = new ApprovalService(db, {
+    windowMinutes: APPROVAL_WINDOW_MINUTES
+});
+
+// Actions that move funds or destroy data run only after a second admin approves them
+approvals.register('payouts.process', {
+    label: 'Send all pending payouts',
+    permission: 'treasury',
+    execute: () => payoutService.processAllPayouts()
+});
+approvals.register('refunds.process', {
+    label: 'Send all pending refunds',
+    permission: 'treasury',
+    execute: () => payoutService.processAllRefunds()
+});
+approvals.register('deposits.collect', {
+    label: 'Sweep deposit addresses into the master wallet',
+    permission: 'treasury',
+    execute: () => payoutService.collectAllDeposits()
+});
+// New accounts and keys are admin access, so they need approval too (only hashes are stored with the proposal)
+// firstAccount: only if no account exists yet (the bootstrap admin), checked under a table lock
+const createAccountWithKey = async ({ name, role, label, key_hash, key_prefix }, createdBy, { firstAccount = false } = {}) => {
+    if (await db.getAdminAccountByName(name)) {
+        throw new Error(`Admin ${name} already exists`);
+    }
+    const account = await db.withTransaction(async (tx) => {
+        if (firstAccount) {
+            await tx.lockAdminAccounts();
+            if (await tx.hasAdminAccounts()) {
+                throw new Error('The bootstrap token can only create the first admin account');
+            }
+        }
+        const created = await tx.createAdminAccount(uuidv4(), name, role, createdBy);
+        await tx.createAdminKey(uuidv4(), created.id, key_hash, key_prefix, label, createdBy);
+        return created;
+    });
+    console.log(`[ADMIN] ${createdBy} created admin ${name} (${role})`);
+    return account;
+};
+approvals.register('admins.create', {
+    label: 'Create an admin account and its first API key',
+    permission: 'admins',
+    execute: (params, action) => createAccountWithKey(params, action.proposed_by)
+});
+approvals.register('admins.create_key', {
+    label: 'Issue another API key for an admin account',
+    permission: 'admins',
+    execute: async ({ admin_id, label, key_hash, key_prefix }, action) => {
+        const account = await db.getAdminAccount(admin_id);
+        if (!account) {
+            throw new Error('Admin account not found');
+        }
+        const keyId = uuidv4();
+        await db.createAdminKey(keyId, account.id, key_hash, key_prefix, label, action.proposed_by);
+        console.log(`[ADMIN] ${action.proposed_by} created key ${key_prefix}… for ${account.name}`);
+        return { key_id: keyId, key_prefix, admin: account.name };
+    }
+});
+approvals.register('races.delete_completed', {
+    label: 'Delete all completed races',
+    permission: 'races',
+    execute: async () => {
+        const { deleted, skipped } = await db.deleteCompletedRaces();
+        console.log(`[ADMIN] Deleted ${deleted} completed races${skipped ? ` (${skipped} with outstanding payouts or refunds kept)` : ''}`);
+        return { deleted, skipped };
+    }
+});
+approvals.register('data.clear_all', {
+    label: 'Clear all data',
+    permission: 'wipe',
+    execute: async () => {
+        await db.clearAllData();
+        console.log(`[ADMIN] ⚠️ ALL DATA CLEARED`);
+        return { message: 'All data cleared successfully' };
+    }
+});
 
 // Express app
 const app = express();
+app.set('trust proxy', TRUST_PROXY);
 
 // SECURITY: Configure CORS - allow localhost for admin panel
 const corsOptions = {
@@ -130,8 +279,8 @@ app.use(securityHeaders);
 // SECURITY: Sanitize all inputs
 app.use(sanitizeInput);
 
-// SECURITY: Audit log all requests
-app.use(auditLogger);
+// SECURITY: Audit log admin and state-changing requests to the database
+app.use(auditLogger(db));
 
 // WebSocket clients for real-time updates
 const wsClients = new Set();
@@ -140,8 +289,13 @@ const wsClients = new Set();
 // MIDDLEWARE
 // ===================
 
-// Admin authentication middleware with timing-safe comparison
-const adminAuth = (req, res, next) => {
+/**
+ * Admin authentication: the Bearer token must be an unrevoked API key whose account's role
+ * grants the route's permission. The acting admin is set on req.admin for the audit log.
+ * ADMIN_TOKEN, when set, is accepted only on routes that allow the bootstrap admin, and only
+ * until the first named account exists.
+ */
+const adminAuth = (permission, { allowBootstrap = false } = {}) => async (req, res, next) => {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
         // Log failed auth attempts
@@ -150,26 +304,72 @@ const adminAuth = (req, res, next) => {
     }
     
     const token = authHeader.split(' ')[1];
-    
-    // Timing-safe comparison to prevent timing attacks
-    if (!token || token.length !== ADMIN_TOKEN.length) {
-        console.warn(`[SECURITY] Invalid token length from ${req.ip}`);
+    if (!token) {
         return res.status(401).json({ success: false, error: 'Invalid admin token' });
     }
     
-    let valid = true;
-    for (let i = 0; i < token.length; i++) {
-        if (token[i] !== ADMIN_TOKEN[i]) valid = false;
-    }
-    
-    if (!valid) {
-        console.warn(`[SECURITY] Invalid admin token from ${req.ip}`);
-        return res.status(401).json({ success: false, error: 'Invalid admin token' });
+    try {
+        let admin = await db.getAdminByKeyHash(adminKeys.hashApiKey(token));
+        if (admin) {
+            db.touchAdminKey(admin.key_id).catch(err => console.error('Could not record key use:', err.message));
+        } else if (ADMIN_TOKEN && adminKeys.secretsMatch(token, ADMIN_TOKEN)) {
+            if (!allowBootstrap || await db.hasAdminAccounts()) {
+                console.warn(`[SECURITY] Bootstrap token refused for ${req.method} ${req.path} from ${req.ip}`);
+                return res.status(403).json({ success: false, error: 'The bootstrap token can only create the first admin account' });
+            }
+            admin = { id: null, name: BOOTSTRAP_ADMIN, role: 'superadmin', key_id: null, bootstrap: true };
+        }
+        
+        if (!admin) {
+            console.warn(`[SECURITY] Invalid admin token from ${req.ip}`);
+            return res.status(401).json({ success: false, error: 'Invalid admin token' });
+        }
+        
+        req.admin = admin;
+        if (!adminKeys.hasPermission(admin.role, permission)) {
+            console.warn(`[SECURITY] ${admin.name} (${admin.role}) denied ${req.method} ${req.path}`);
+            return res.status(403).json({ success: false, error: `Role ${admin.role} cannot ${permission === 'read' ? 'view this' : `use ${permission} actions`}` });
+        }
+    } catch (error) {
+        console.error('Admin authentication failed:', error.message);
+        return res.status(503).json({ success: false, error: 'Authentication unavailable' });
     }
     
     next();
 };
 
+/**
+ * Route handler that proposes an action instead of running it
+ */
+const proposeAction = (action) => async (req, res) => {
+    try {
+        const proposed = await approvals.propose(action, {}, req.admin);
+        respond(res, { pending_approval: true, action: proposed });
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+};
+
+/**
+ * Audit log filters from a query string; from/to take unix seconds or an ISO date
+ */
+const auditFilters = (query) => {
+    const time = (value, name) => {
+        if (!value) return null;
+        const seconds = /^\d+$/.test(value) ? parseInt(value, 10) : Math.floor(Date.parse(value) / 1000);
+        if (isNaN(seconds)) throw new Error(`${name} must be unix seconds or an ISO date`);
+        return seconds;
+    };
+    return {
+        path: query.path || null,
+        ip: query.ip || null,
+        admin: query.admin || null,
+        method: query.method || null,
+        from: time(query.from, 'from'),
+        to: time(query.to, 'to')
+    };
+};
+
 // Response helper
 const respond = (res, data, error = null) => {
     res.json({
@@ -179,21 +379,40 @@ const respond = (res, data, error = null) => {
     });
 };
 
+// Amounts are stored in base units (lamports for SOL); the API reports them in whole units
+const displayPools = (pools, currency) => {
+    const converted = {};
+    for (const [key, pool] of Object.entries(pools)) {
+        converted[key] = { ...pool, amount: fromBaseUnits(pool.amount, currency) };
+    }
+    return converted;
+};
+
+const RESULT_AMOUNT_FIELDS = ['total_pool', 'winning_pool', 'losing_pool', 'house_cut', 'distributed', 'dust', 'house_take'];
+
+const displayResults = (results) => ({
+    ...toWholeUnits(results, results.currency, RESULT_AMOUNT_FIELDS),
+    pools: Object.fromEntries(Object.entries(results.pools).map(
+        ([betType, pool]) => [betType, toWholeUnits(pool, results.currency, RESULT_AMOUNT_FIELDS)]
+    )),
+    winners: results.winners.map(w => toWholeUnits(w, results.currency, ['bet_amount', 'winnings', 'total_payout']))
+});
+
 // ===================
 // PUBLIC ENDPOINTS
 // ===================
 
 // Apply public rate limiting
-app.use('/health', rateLimit('public'));
-app.use('/race', rateLimit('public'));
-app.use('/races', rateLimit('public'));
-app.use('/user', rateLimit('public'));
+app.use('/health', rateLimiter.limit('public'));
+app.use('/race', rateLimiter.limit('public'));
+app.use('/races', rateLimiter.limit('public'));
+app.use('/user', rateLimiter.limit('public'));
 
-// Apply stricter rate limiting for betting
-app.use('/bet', rateLimit('betting'));
+// Apply stricter rate limiting for betting (deposit addresses also have their own per-wallet limit)
+app.use('/bet', rateLimiter.limit('betting'));
 
 // Apply admin rate limiting
-app.use('/admin', rateLimit('admin'));
+app.use('/admin', rateLimiter.limit('admin'));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -210,17 +429,29 @@ app.get('/race/active', async (req, res) => {
         
         // Add pool stats
         const pools = await db.getRacePoolStats(race.id);
-        respond(res, { ...race, pools });
+        respond(res, { ...toWholeUnits(race), pools: displayPools(pools, race.currency) });
     } catch (error) {
         respond(res, null, error.message);
     }
 });
 
+// Currencies races can be bet in
+app.get('/currencies', (req, res) => {
+    respond(res, listCurrencies().map(c => ({
+        code: c.code,
+        symbol: c.symbol,
+        mint: c.mint,
+        decimals: c.decimals,
+        min_bet: c.minBet,
+        max_bet: c.maxBet
+    })));
+});
+
 // Get all races
 app.get('/races', async (req, res) => {
     try {
         const races = await db.getAllRaces();
-        respond(res, races);
+        respond(res, races.map(race => toWholeUnits(race)));
     } catch (error) {
         respond(res, null, error.message);
     }
@@ -235,7 +466,21 @@ app.get('/race/:id', async (req, res) => {
         }
         
         const pools = await db.getRacePoolStats(race.id);
-        respond(res, { ...race, pools });
+        respond(res, { ...toWholeUnits(race), pools: displayPools(pools, race.currency) });
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// Check a race's result against the outcome committed when it was created
+app.get('/race/:id/verify', async (req, res) => {
+    try {
+        const race = await db.getRace(req.params.id);
+        if (!race) {
+            return respond(res, null, 'Race not found');
+        }
+        
+        respond(res, fairness.verifyRace(race));
     } catch (error) {
         respond(res, null, error.message);
     }
@@ -244,7 +489,9 @@ app.get('/race/:id', async (req, res) => {
 // Get race pool stats
 app.get('/race/:id/pools', async (req, res) => {
     try {
-        const pools = await db.getRacePoolStats(req.params.id);
+        const race = await db.getRace(req.params.id);
+        const currency = race?.currency;
+        const pools = displayPools(await db.getRacePoolStats(req.params.id), currency);
         const totalPool = Object.values(pools).reduce((sum, p) => sum + p.amount, 0);
         const totalBets = Object.values(pools).reduce((sum, p) => sum + p.bets, 0);
         
@@ -258,7 +505,27 @@ app.get('/race/:id/pools', async (req, res) => {
             }
         }
         
-        respond(res, { pools, odds, totalPool, totalBets });
+        // Other pools are reported separately so win odds stay unchanged
+        const allPools = await db.getAllPoolStats(req.params.id);
+        const summarizePool = (typePools) => ({
+            selections: displayPools(typePools, currency),
+            totalPool: fromBaseUnits(Object.values(typePools).reduce((sum, p) => sum + p.amount, 0), currency),
+            totalBets: Object.values(typePools).reduce((sum, p) => sum + p.bets, 0)
+        });
+        const exoticPools = {};
+        for (const betType of EXOTIC_BET_TYPES) {
+            exoticPools[betType] = summarizePool(allPools[betType]);
+        }
+        
+        respond(res, {
+            pools,
+            odds,
+            totalPool,
+            totalBets,
+            place_pool: summarizePool(allPools.place),
+            show_pool: summarizePool(allPools.show),
+            exotic_pools: exoticPools
+        });
     } catch (error) {
         respond(res, null, error.message);
     }
@@ -268,12 +535,31 @@ app.get('/race/:id/pools', async (req, res) => {
 app.post('/bet/deposit-address', 
     validateRequest({
         race_id: { required: true, type: 'race_id' },
-        horse_number: { required: true, type: 'horse_number' },
+        horse_number: { required: false, type: 'horse_number' },
+        bet_type: { required: false, type: 'bet_type' },
+        selection: { required: false, type: 'horse_list' },
         user_wallet: { required: false, type: 'solana_address' }
     }),
+    rateLimiter.limit('deposit_address'),
     async (req, res) => {
     try {
-        const { race_id, horse_number, user_wallet } = req.body;
+        const { race_id, user_wallet } = req.body;
+        const bet_type = req.body.bet_type || 'win';
+        
+        // Win/place/show bets pick one horse; exotic bets pick an ordered selection
+        const pickedHorses = req.body.selection || (req.body.horse_number ? [req.body.horse_number] : null);
+        if (!pickedHorses) {
+            return respond(res, null, 'horse_number or selection is required');
+        }
+        
+        let selection;
+        try {
+            selection = normalizeSelection(bet_type, pickedHorses);
+        } catch (err) {
+            return respond(res, null, err.message);
+        }
+        const selectedHorses = parseSelection(selection);
+        const horse_number = selectedHorses[0];
         
         // Validate race exists and is open
         const race = await db.getRace(race_id);
@@ -290,13 +576,21 @@ app.post('/bet/deposit-address',
             return respond(res, null, 'Race has already started');
         }
         
-        // Validate horse number against actual horse count
-        if (horse_number < 1 || horse_number > race.horses.length) {
+        // Validate horse numbers against actual horse count
+        if (selectedHorses.some(h => h < 1 || h > race.horses.length)) {
             return respond(res, null, `Invalid horse number. Must be 1-${race.horses.length}`);
         }
         
-        // Generate unique deposit address
+        // Scratched horses take no new bets
+        const scratched = selectedHorses.filter(h => race.horses.find(r => r.horse_number === h)?.scratched);
+        if (scratched.length > 0) {
+            return respond(res, null, `Horse #${scratched[0]} has been scratched`);
+        }
+        
+        // Generate unique deposit address (token races are paid into its associated token account)
+        const currency = getCurrency(race.currency);
         const { publicKey, privateKey } = walletService.generateDepositAddress();
+        const tokenAccount = currency.mint ? walletService.getTokenAccountAddress(publicKey, currency.mint) : null;
         const depositId = uuidv4();
         const expiresAt = Math.floor(Date.now() / 1000) + (DEPOSIT_EXPIRY_MINUTES * 60);
         
@@ -308,19 +602,30 @@ app.post('/bet/deposit-address',
             race_id,
             horse_number,
             expiresAt,
-            user_wallet || null
+            user_wallet || null,
+            bet_type,
+            selection,
+            currency.code,
+            tokenAccount
         );
         
-        console.log(`Generated deposit address for race ${race_id}, horse #${horse_number}: ${publicKey.slice(0, 8)}...`);
+        console.log(`Generated ${bet_type} ${currency.symbol} deposit address for race ${race_id}, selection ${selection}: ${publicKey.slice(0, 8)}...`);
+        depositMonitor.watchDeposit(deposit);
         
         respond(res, {
             deposit_id: depositId,
             deposit_address: publicKey,
             race_id,
+            bet_type,
+            selection,
             horse_number,
             horse_name: race.horses.find(h => h.horse_number === horse_number)?.name,
-            min_bet: MIN_BET,
-            max_bet: MAX_BET,
+            currency: currency.code,
+            currency_symbol: currency.symbol,
+            mint: currency.mint,
+            token_account: tokenAccount,
+            min_bet: currency.minBet,
+            max_bet: currency.maxBet,
             expires_at: expiresAt,
             expires_in_seconds: DEPOSIT_EXPIRY_MINUTES * 60
         });
@@ -340,16 +645,17 @@ app.get('/bet/status/:deposit_id', async (req, res) => {
         }
         
         // Don't expose private key
-        const { private_key, ...safeDeposit } = deposit;
+        const { private_key, ...safeDeposit } = toWholeUnits(deposit);
         
-        // If confirmed, include bet details
+        // If confirmed, include bet details (one bet per transfer to the address)
         if (deposit.status === 'confirmed') {
             const betResult = await db.query(
-                'SELECT * FROM bets WHERE deposit_address_id = $1',
+                'SELECT * FROM bets WHERE deposit_address_id = $1 ORDER BY created_at',
                 [deposit.id]
             );
+            const bets = betResult.rows.map(bet => toWholeUnits(bet));
             
-            respond(res, { ...safeDeposit, bet: betResult.rows[0] });
+            respond(res, { ...safeDeposit, bet: bets[0], bets });
         } else {
             respond(res, safeDeposit);
         }
@@ -370,7 +676,7 @@ app.get('/bet/address/:address', async (req, res) => {
         // Also check current balance
         const balance = await walletService.getBalance(req.params.address);
         
-        const { private_key, ...safeDeposit } = deposit;
+        const { private_key, ...safeDeposit } = toWholeUnits(deposit);
         respond(res, { ...safeDeposit, current_balance: balance });
         
     } catch (error) {
@@ -382,21 +688,21 @@ app.get('/bet/address/:address', async (req, res) => {
 app.get('/race/:id/bets', async (req, res) => {
     try {
         const bets = await db.getBetsForRace(req.params.id);
-        respond(res, bets);
+        respond(res, bets.map(bet => toWholeUnits(bet)));
     } catch (error) {
         respond(res, null, error.message);
     }
 });
 
 // Get bets for a user
-app.get('/user/:wallet/bets', async (req, res) => {
+app.get('/user/:wallet/bets', rateLimiter.limit('wallet_bets'), async (req, res) => {
     try {
         if (!walletService.isValidAddress(req.params.wallet)) {
             return respond(res, null, 'Invalid wallet address');
         }
         
         const bets = await db.getBetsForUser(req.params.wallet);
-        respond(res, bets);
+        respond(res, bets.map(bet => toWholeUnits(bet)));
     } catch (error) {
         respond(res, null, error.message);
     }
@@ -407,18 +713,25 @@ app.get('/user/:wallet/bets', async (req, res) => {
 // ===================
 
 // Create a new race
-app.post('/admin/race/create', adminAuth, async (req, res) => {
+app.post('/admin/race/create', adminAuth('races'), async (req, res) => {
     try {
         const { title, horses, start_time, predetermined_winner } = req.body;
+        const currency = req.body.currency || 'SOL';
         
         if (!title) {
             return respond(res, null, 'Missing title');
         }
+        if (!isValidCurrency(currency)) {
+            return respond(res, null, `Unsupported currency: ${currency}`);
+        }
         
         const horseNames = horses || DEFAULT_HORSES;
         if (horseNames.length !== 10) {
             return respond(res, null, 'Must have exactly 10 horses');
         }
+        if (predetermined_winner && !(Number.isInteger(predetermined_winner) && predetermined_winner >= 1 && predetermined_winner <= horseNames.length)) {
+            return respond(res, null, `predetermined_winner must be a horse number 1-${horseNames.length}`);
+        }
         
         const raceId = 'race_' + Date.now().toString(36);
         const startTime = start_time || Math.floor(Date.now() / 1000) + 1800; // 30 min from now
@@ -428,15 +741,17 @@ app.post('/admin/race/create', adminAuth, async (req, res) => {
             title,
             horseNames,
             startTime,
-            predetermined_winner || null
+            predetermined_winner || null,
+            null,
+            currency
         );
         
-        console.log(`Race created: ${raceId} - ${title}`);
+        console.log(`Race created: ${raceId} - ${title} (${currency})`);
         
         // Broadcast to WebSocket clients
-        broadcastToClients({ type: 'race_created', race });
+        broadcastToClients({ type: 'race_created', race: toWholeUnits(race) });
         
-        respond(res, race);
+        respond(res, toWholeUnits(race));
         
     } catch (error) {
         console.error('Error creating race:', error);
@@ -445,7 +760,7 @@ app.post('/admin/race/create', adminAuth, async (req, res) => {
 });
 
 // Open race for betting
-app.post('/admin/race/open', adminAuth, async (req, res) => {
+app.post('/admin/race/open', adminAuth('races'), async (req, res) => {
     try {
         const { race_id } = req.body;
         
@@ -459,9 +774,9 @@ app.post('/admin/race/open', adminAuth, async (req, res) => {
         }
         
         console.log(`Race opened for betting: ${race_id}`);
-        broadcastToClients({ type: 'race_opened', race });
+        broadcastToClients({ type: 'race_opened', race: toWholeUnits(race) });
         
-        respond(res, race);
+        respond(res, toWholeUnits(race));
         
     } catch (error) {
         respond(res, null, error.message);
@@ -469,7 +784,7 @@ app.post('/admin/race/open', adminAuth, async (req, res) => {
 });
 
 // Close race betting
-app.post('/admin/race/close', adminAuth, async (req, res) => {
+app.post('/admin/race/close', adminAuth('races'), async (req, res) => {
     try {
         const { race_id } = req.body;
         
@@ -486,9 +801,9 @@ app.post('/admin/race/close', adminAuth, async (req, res) => {
         const bets = await db.getBetsForRace(race_id);
         
         console.log(`Race betting closed: ${race_id} (${bets.length} bets)`);
-        broadcastToClients({ type: 'race_closed', race, total_bets: bets.length });
+        broadcastToClients({ type: 'race_closed', race: toWholeUnits(race), total_bets: bets.length });
         
-        respond(res, { race, bets });
+        respond(res, { race: toWholeUnits(race), bets: bets.map(bet => toWholeUnits(bet)) });
         
     } catch (error) {
         respond(res, null, error.message);
@@ -496,13 +811,23 @@ app.post('/admin/race/close', adminAuth, async (req, res) => {
 });
 
 // End race and declare winner
-app.post('/admin/race/end', adminAuth, async (req, res) => {
+app.post('/admin/race/end', adminAuth('races'), async (req, res) => {
     try {
-        const { race_id, winner } = req.body;
+        const { race_id, finishing_order, winner, override_commitment } = req.body;
+        
+        // A full finishing order settles place/show and exotic pools; a single winner only settles win bets.
+        // Dead heats are nested arrays ([[3, 7], 1]); an array `winner` declares co-winners.
+        // Leaving both out settles the race on its committed outcome.
+        const order = finishing_order || (winner ? [winner] : null);
         
-        if (!race_id || !winner) {
-            return respond(res, null, 'Missing race_id or winner');
+        if (!race_id) {
+            return respond(res, null, 'Missing race_id');
+        }
+        
+        if (order && (!Array.isArray(order) || !isValidHorseList(order.flat()))) {
+            return respond(res, null, 'finishing_order must be a list of distinct horse numbers');
         }
+        const finishingOrder = order ? normalizeFinishingOrder(order) : null;
         
         // Validate race exists
         const race = await db.getRace(race_id);
@@ -510,23 +835,46 @@ app.post('/admin/race/end', adminAuth, async (req, res) => {
             return respond(res, null, 'Race not found');
         }
         
-        // Validate winner
-        if (winner < 1 || winner > race.horses.length) {
-            return respond(res, null, `Invalid winner. Must be 1-${race.horses.length}`);
+        if (race.status === 'cancelled') {
+            return respond(res, null, 'Race was cancelled and its bets refunded');
         }
         
-        // Calculate winnings
-        const results = await depositMonitor.calculateWinnings(race_id, winner);
+        if (!finishingOrder && !race.outcome_commitment) {
+            return respond(res, null, 'Race has no committed outcome - provide winner or finishing_order');
+        }
         
-        // Update race with total pool
-        const updatedRace = await db.setRaceWinner(race_id, winner, results.total_pool);
+        if (finishingOrder) {
+            // Validate finishing order
+            if (finishingOrder.flat().some(h => h < 1 || h > race.horses.length)) {
+                return respond(res, null, `Invalid finishing order. Horses must be 1-${race.horses.length}`);
+            }
+            
+            // Scratched horses cannot finish
+            const scratchedFinisher = finishingOrder.flat().find(h => race.horses.find(r => r.horse_number === h)?.scratched);
+            if (scratchedFinisher) {
+                return respond(res, null, `Horse #${scratchedFinisher} was scratched and cannot be placed`);
+            }
+        }
         
-        console.log(`Race ended: ${race_id}, Winner: Horse #${winner}`);
-        console.log(`Total pool: ${results.total_pool} SOL, ${results.winners.length} winners`);
+        // Winnings, payouts, the result and the outcome reveal are written in one transaction; re-running is safe
+        const settlement = await depositMonitor.settleRace(race_id, finishingOrder, { overrideCommitment: !!override_commitment });
+        const results = settlement.results;
+        const updatedRace = toWholeUnits(settlement.race);
+        const displayed = displayResults(results);
+        const settledOrder = normalizeFinishingOrder(settlement.race.finishing_order);
+        
+        if (settlement.already_settled) {
+            console.log(`Race ${race_id} was already settled, no new payouts queued`);
+        } else {
+            console.log(`Race ended: ${race_id}, Finishing order: ${settledOrder.map(g => g.join('=')).join(', ')}${results.dead_heat ? ' (dead heat)' : ''}`);
+            console.log(`Total pool: ${formatAmount(results.total_pool, race.currency)}, ${results.winners.length} winners, house keeps ${formatAmount(results.house_take, race.currency)}`);
+            broadcastToClients({ type: 'race_ended', race: updatedRace, results: displayed });
+        }
         
-        broadcastToClients({ type: 'race_ended', race: updatedRace, results });
+        // Send winnings right away when automatic payouts are enabled
+        payoutWorker.trigger();
         
-        respond(res, { race: updatedRace, results });
+        respond(res, { race: updatedRace, results: displayed, already_settled: settlement.already_settled });
         
     } catch (error) {
         console.error('Error ending race:', error);
@@ -534,86 +882,244 @@ app.post('/admin/race/end', adminAuth, async (req, res) => {
     }
 });
 
-// Process payouts
-app.post('/admin/payouts/process', adminAuth, async (req, res) => {
+// Cancel a race and refund every bet
+app.post('/admin/race/cancel', adminAuth('races'), async (req, res) => {
     try {
-        const result = await payoutService.processAllPayouts();
-        respond(res, result);
+        const { race_id, reason } = req.body;
+        
+        if (!race_id) {
+            return respond(res, null, 'Missing race_id');
+        }
+        
+        const race = await db.getRace(race_id);
+        if (!race) {
+            return respond(res, null, 'Race not found');
+        }
+        if (race.status === 'completed' || race.status === 'cancelled') {
+            return respond(res, null, `Cannot cancel a ${race.status} race`);
+        }
+        
+        const { race: cancelledRace, refunds } = await depositMonitor.cancelRace(race_id, reason || 'Race cancelled');
+        
+        // Refunds are only queued; sending them moves treasury funds, so it goes through the approved refunds.process action
+        console.log(`Race cancelled: ${race_id} (${refunds.length} bets refunded)`);
+        broadcastToClients({ type: 'race_cancelled', race: toWholeUnits(cancelledRace), refunded_bets: refunds.length });
+        
+        respond(res, { race: toWholeUnits(cancelledRace), refunds: refunds.map(r => toWholeUnits(r)) });
+        
     } catch (error) {
+        console.error('Error cancelling race:', error);
         respond(res, null, error.message);
     }
 });
 
-// Get pending payouts
-app.get('/admin/payouts/pending', adminAuth, async (req, res) => {
+// Scratch a horse and refund every bet that includes it
+app.post('/admin/race/scratch', adminAuth('races'), async (req, res) => {
     try {
-        const payouts = await db.getPendingPayouts();
-        respond(res, payouts);
+        const { race_id, horse_number } = req.body;
+        
+        if (!race_id || !horse_number) {
+            return respond(res, null, 'Missing race_id or horse_number');
+        }
+        
+        const race = await db.getRace(race_id);
+        if (!race) {
+            return respond(res, null, 'Race not found');
+        }
+        if (race.status === 'completed') {
+            return respond(res, null, 'Cannot scratch a horse from a completed race');
+        }
+        
+        const horseNumber = parseInt(horse_number);
+        if (!race.horses.find(h => h.horse_number === horseNumber)) {
+            return respond(res, null, `Invalid horse number. Must be 1-${race.horses.length}`);
+        }
+        
+        const refunds = await depositMonitor.scratchHorse(race_id, horseNumber);
+        if (!refunds) {
+            return respond(res, null, `Horse #${horseNumber} is already scratched`);
+        }
+        
+        // Refunds are only queued; sending them goes through the approved refunds.process action
+        const updatedRace = toWholeUnits(await db.getRace(race_id));
+        const pools = displayPools(await db.getRacePoolStats(race_id), race.currency);
+        
+        console.log(`Horse #${horseNumber} scratched from ${race_id} (${refunds.length} bets refunded)`);
+        broadcastToClients({
+            type: 'horse_scratched',
+            race: { ...updatedRace, pools },
+            horse_number: horseNumber,
+            refunded_bets: refunds.length
+        });
+        
+        respond(res, { race: updatedRace, pools, refunds: refunds.map(r => toWholeUnits(r)) });
+        
     } catch (error) {
+        console.error('Error scratching horse:', error);
         respond(res, null, error.message);
     }
 });
 
-// Process refunds (rejected deposits sent back to users)
-app.post('/admin/refunds/process', adminAuth, async (req, res) => {
+// Create a recurring race schedule
+app.post('/admin/schedules', adminAuth('races'), async (req, res) => {
     try {
-        const result = await payoutService.processAllRefunds();
-        respond(res, result);
+        const { title, horses, interval_minutes, create_lead_minutes, open_lead_minutes, first_start_time } = req.body;
+        const currency = req.body.currency || 'SOL';
+        
+        if (!isValidCurrency(currency)) {
+            return respond(res, null, `Unsupported currency: ${currency}`);
+        }
+        
+        const horseNames = horses || DEFAULT_HORSES;
+        if (horseNames.length !== 10) {
+            return respond(res, null, 'Must have exactly 10 horses');
+        }
+        
+        const intervalMinutes = parseInt(interval_minutes);
+        if (!intervalMinutes || intervalMinutes < 5) {
+            return respond(res, null, 'interval_minutes must be at least 5');
+        }
+        
+        const openLeadMinutes = parseInt(open_lead_minutes || Math.floor(intervalMinutes * 0.75));
+        const createLeadMinutes = parseInt(create_lead_minutes || openLeadMinutes);
+        
+        // First race defaults to one full interval from now
+        const firstStartTime = parseInt(first_start_time) || Math.floor(Date.now() / 1000) + intervalMinutes * 60;
+        
+        const schedule = await raceScheduler.createSchedule({
+            title: title || 'Pump Ponies Race #{n}',
+            horses: horseNames,
+            intervalMinutes,
+            createLeadMinutes,
+            openLeadMinutes,
+            firstStartTime,
+            currency
+        });
+        
+        respond(res, schedule);
+        
     } catch (error) {
+        console.error('Error creating schedule:', error);
         respond(res, null, error.message);
     }
 });
 
-// Get pending refunds
-app.get('/admin/refunds/pending', adminAuth, async (req, res) => {
+// List race schedules
+app.get('/admin/schedules', adminAuth('read'), async (req, res) => {
     try {
-        const result = await db.query(
-            "SELECT * FROM refunds WHERE status = 'pending' ORDER BY created_at"
-        );
-        respond(res, result.rows);
+        const schedules = await db.getSchedules();
+        respond(res, schedules);
     } catch (error) {
         respond(res, null, error.message);
     }
 });
 
-// Collect deposits to master wallet
-app.post('/admin/collect-deposits', adminAuth, async (req, res) => {
+// Enable or disable a race schedule
+app.post('/admin/schedules/:id/enabled', adminAuth('races'), async (req, res) => {
     try {
-        const result = await payoutService.collectAllDeposits();
-        respond(res, result);
+        const { enabled } = req.body;
+        if (typeof enabled !== 'boolean') {
+            return respond(res, null, 'enabled must be true or false');
+        }
+        
+        const schedule = await db.setScheduleEnabled(req.params.id, enabled);
+        if (!schedule) {
+            return respond(res, null, 'Schedule not found');
+        }
+        
+        console.log(`[ADMIN] Schedule ${req.params.id} ${enabled ? 'enabled' : 'disabled'}`);
+        respond(res, schedule);
     } catch (error) {
         respond(res, null, error.message);
     }
 });
 
-// Delete all completed races
-app.post('/admin/races/delete-completed', adminAuth, async (req, res) => {
+// Propose processing payouts (runs once a second admin approves)
+app.post('/admin/payouts/process', adminAuth('treasury'), proposeAction('payouts.process'));
+
+// Check in-flight payouts against the chain
+app.post('/admin/payouts/reconcile', adminAuth('treasury'), async (req, res) => {
     try {
-        const deleted = await db.deleteCompletedRaces();
-        console.log(`[ADMIN] Deleted ${deleted} completed races`);
-        respond(res, { deleted });
+        const { acquired, result } = await payoutService.runExclusive(() => payoutService.reconcilePayouts());
+        if (!acquired) {
+            return respond(res, null, 'Payout processing in progress');
+        }
+        respond(res, {
+            completed: result.completed.length,
+            requeued: result.requeued,
+            unresolved: result.unresolved
+        });
     } catch (error) {
         respond(res, null, error.message);
     }
 });
 
-// Clear ALL data (nuclear option for clean slate)
-app.post('/admin/clear-all-data', adminAuth, async (req, res) => {
+// Get pending payouts
+app.get('/admin/payouts/pending', adminAuth('read'), async (req, res) => {
     try {
-        await db.clearAllData();
-        console.log(`[ADMIN] ⚠️ ALL DATA CLEARED`);
-        respond(res, { message: 'All data cleared successfully' });
+        const payouts = await db.getPendingPayouts();
+        respond(res, payouts.map(payout => toWholeUnits(payout)));
     } catch (error) {
         respond(res, null, error.message);
     }
 });
 
+// Get automatic payout worker status
+app.get('/admin/payouts/worker', adminAuth('read'), (req, res) => {
+    respond(res, { enabled: AUTO_PAYOUTS, ...payoutWorker.getStatus() });
+});
+
+// Resume the automatic payout worker after it halted itself
+app.post('/admin/payouts/worker/resume', adminAuth('treasury'), async (req, res) => {
+    try {
+        if (!AUTO_PAYOUTS) {
+            return respond(res, null, 'Automatic payouts are disabled (set AUTO_PAYOUTS=true)');
+        }
+        
+        await db.setConfig('payout_worker_halt_reason', '');
+        payoutWorker.resume();
+        console.log('[ADMIN] Payout worker resumed');
+        respond(res, payoutWorker.getStatus());
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// Propose processing refunds (rejected deposits sent back to users); needs approval
+app.post('/admin/refunds/process', adminAuth('treasury'), proposeAction('refunds.process'));
+
+// Get pending refunds
+app.get('/admin/refunds/pending', adminAuth('read'), async (req, res) => {
+    try {
+        const result = await db.query(
+            "SELECT * FROM refunds WHERE status = 'pending' ORDER BY created_at"
+        );
+        respond(res, result.rows.map(refund => toWholeUnits(refund)));
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// Propose collecting deposits to master wallet; needs approval
+app.post('/admin/collect-deposits', adminAuth('treasury'), proposeAction('deposits.collect'));
+
+// Propose deleting all completed races; needs approval
+app.post('/admin/races/delete-completed', adminAuth('races'), proposeAction('races.delete_completed'));
+
+// Propose clearing ALL data (nuclear option for clean slate); needs approval
+app.post('/admin/clear-all-data', adminAuth('wipe'), proposeAction('data.clear_all'));
+
 // Get master wallet balance
-app.get('/admin/wallet/balance', adminAuth, async (req, res) => {
+app.get('/admin/wallet/balance', adminAuth('read'), async (req, res) => {
     try {
         const balance = await payoutService.getMasterWalletBalance();
+        const balances = {};
+        for (const { code } of listCurrencies()) {
+            balances[code] = code === 'SOL' ? balance : await payoutService.getMasterWalletBalance(code);
+        }
         respond(res, { 
             balance,
+            balances,
             address: payoutService.masterWallet?.publicKey.toBase58() || 'Not configured'
         });
     } catch (error) {
@@ -622,7 +1128,7 @@ app.get('/admin/wallet/balance', adminAuth, async (req, res) => {
 });
 
 // Set config value
-app.post('/admin/config', adminAuth, async (req, res) => {
+app.post('/admin/config', adminAuth('races'), async (req, res) => {
     try {
         const { key, value } = req.body;
         if (!key || value === undefined) {
@@ -637,7 +1143,7 @@ app.post('/admin/config', adminAuth, async (req, res) => {
 });
 
 // Get config value
-app.get('/admin/config/:key', adminAuth, async (req, res) => {
+app.get('/admin/config/:key', adminAuth('read'), async (req, res) => {
     try {
         const value = await db.getConfig(req.params.key);
         respond(res, { key: req.params.key, value });
@@ -651,7 +1157,7 @@ app.get('/admin/config/:key', adminAuth, async (req, res) => {
 // ===================
 
 // Get dashboard statistics
-app.get('/admin/stats', adminAuth, async (req, res) => {
+app.get('/admin/stats', adminAuth('read'), async (req, res) => {
     try {
         const races = await db.getAllRaces();
         const activeRaces = races.filter(r => r.status === 'open' || r.status === 'closed');
@@ -661,20 +1167,20 @@ app.get('/admin/stats', adminAuth, async (req, res) => {
         let totalPool = 0;
         let totalBets = 0;
         for (const race of activeRaces) {
-            const pools = await db.getRacePoolStats(race.id);
+            const pools = displayPools(await db.getRacePoolStats(race.id), race.currency);
             totalPool += Object.values(pools).reduce((sum, p) => sum + (p.amount || 0), 0);
             totalBets += Object.values(pools).reduce((sum, p) => sum + (p.bets || 0), 0);
         }
         
         // Get pending payouts
         const pendingPayouts = await db.getPendingPayouts();
-        const pendingPayoutTotal = pendingPayouts.reduce((sum, p) => sum + (p.winnings || 0), 0);
+        const pendingPayoutTotal = pendingPayouts.reduce((sum, p) => sum + fromBaseUnits(p.amount, p.currency), 0);
         
         // Get pending refunds
         const pendingRefundsResult = await db.query(
-            "SELECT SUM(amount) as total FROM refunds WHERE status = 'pending'"
+            "SELECT currency, SUM(amount)::BIGINT as total FROM refunds WHERE status = 'pending' GROUP BY currency"
         );
-        const pendingRefunds = pendingRefundsResult.rows[0];
+        const pendingRefundsTotal = pendingRefundsResult.rows.reduce((sum, r) => sum + fromBaseUnits(r.total, r.currency), 0);
         
         // Get master wallet balance
         let masterBalance = 0;
@@ -691,8 +1197,11 @@ app.get('/admin/stats', adminAuth, async (req, res) => {
             total_bets: totalBets,
             pending_payouts: pendingPayouts.length,
             pending_payout_total: pendingPayoutTotal,
-            pending_refunds_total: pendingRefunds?.total || 0,
-            master_wallet_balance: masterBalance
+            pending_refunds_total: pendingRefundsTotal,
+            master_wallet_balance: masterBalance,
+            payout_worker: { enabled: AUTO_PAYOUTS, ...payoutWorker.getStatus() },
+            deposit_monitor: depositMonitor.getStatus(),
+            rpc_endpoints: rpcPool.getStats()
         });
     } catch (error) {
         respond(res, null, error.message);
@@ -700,7 +1209,7 @@ app.get('/admin/stats', adminAuth, async (req, res) => {
 });
 
 // Get all deposits for admin
-app.get('/admin/deposits', adminAuth, async (req, res) => {
+app.get('/admin/deposits', adminAuth('read'), async (req, res) => {
     try {
         const status = req.query.status; // Optional filter
         let result;
@@ -717,7 +1226,7 @@ app.get('/admin/deposits', adminAuth, async (req, res) => {
         }
         
         // Don't expose private keys
-        const safeDeposits = result.rows.map(({ private_key, ...d }) => d);
+        const safeDeposits = result.rows.map(({ private_key, ...d }) => toWholeUnits(d));
         respond(res, safeDeposits);
     } catch (error) {
         respond(res, null, error.message);
@@ -725,7 +1234,7 @@ app.get('/admin/deposits', adminAuth, async (req, res) => {
 });
 
 // Get all bets for admin
-app.get('/admin/bets', adminAuth, async (req, res) => {
+app.get('/admin/bets', adminAuth('read'), async (req, res) => {
     try {
         const race_id = req.query.race_id;
         let result;
@@ -741,25 +1250,146 @@ app.get('/admin/bets', adminAuth, async (req, res) => {
             );
         }
         
-        respond(res, result.rows);
+        respond(res, result.rows.map(bet => toWholeUnits(bet)));
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// Ledger balances per account, flagging imbalances
+app.get('/admin/ledger', adminAuth('read'), async (req, res) => {
+    try {
+        const report = ledger.buildReport(
+            await db.getLedgerBalances(),
+            await db.getUnbalancedLedgerTransactions(),
+            await db.getExpectedLiabilities()
+        );
+        
+        if (!report.balanced) {
+            console.warn('[LEDGER] Imbalance found:', JSON.stringify({
+                unbalanced_transactions: report.unbalanced_transactions.length,
+                trial_balance: report.trial_balance,
+                liability_mismatches: report.liability_mismatches
+            }));
+        }
+        
+        respond(res, report);
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// Recent ledger transactions (filter by kind, race_id or account)
+app.get('/admin/ledger/transactions', adminAuth('read'), async (req, res) => {
+    try {
+        const { kind, race_id, account } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        
+        const transactions = await db.getLedgerTransactions({ kind, raceId: race_id, account, limit });
+        respond(res, transactions.map(t => ({
+            ...t,
+            entries: t.entries.map(e => ({ ...e, amount: fromBaseUnits(e.amount, e.currency) }))
+        })));
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// Last reconciliation report against the chain
+app.get('/admin/reconcile', adminAuth('read'), (req, res) => {
+    respond(res, reconciler.getStatus());
+});
+
+// Reconcile now (joins a run already in progress)
+app.post('/admin/reconcile', adminAuth('treasury'), async (req, res) => {
+    try {
+        respond(res, await reconciler.run());
     } catch (error) {
+        console.error('Error reconciling:', error);
         respond(res, null, error.message);
     }
 });
 
-// Get audit logs
-app.get('/admin/audit-logs', adminAuth, (req, res) => {
+// Search audit logs, newest first (path prefix, ip, admin, method, from/to; paged with limit/offset)
+app.get('/admin/audit-logs', adminAuth('read'), async (req, res) => {
     try {
+        const filters = auditFilters(req.query);
         const limit = Math.min(parseInt(req.query.limit) || 100, 500);
-        const logs = getAuditLogs(limit);
-        respond(res, logs);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { entries, total } = await db.getAuditEntries(filters, { limit, offset });
+        respond(res, { entries, total, limit, offset });
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// Export every matching audit entry, oldest first, as CSV or JSON (streamed in batches)
+app.get('/admin/audit-logs/export', adminAuth('read'), async (req, res) => {
+    let started = false;
+    try {
+        const format = req.query.format === 'json' ? 'json' : 'csv';
+        const filters = auditFilters(req.query);
+        const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+        
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.write(format === 'csv' ? audit.CSV_COLUMNS.join(',') + '\n' : '[');
+        started = true;
+        
+        let afterId = 0;
+        let first = true;
+        for (;;) {
+            const rows = await db.getAuditEntriesAfter(afterId, filters);
+            if (rows.length === 0) break;
+            if (format === 'csv') {
+                res.write(audit.toCsvRows(rows));
+            } else {
+                res.write(rows.map(row => (first ? '' : ',') + JSON.stringify(row)).join(''));
+            }
+            first = false;
+            afterId = rows[rows.length - 1].id;
+        }
+        
+        res.end(format === 'csv' ? '' : ']');
+    } catch (error) {
+        if (!started) return respond(res, null, error.message);
+        console.error('[AUDIT] Export failed:', error.message);
+        res.destroy(error);
+    }
+});
+
+// Recompute the hash chain over the whole audit log
+app.get('/admin/audit-logs/verify', adminAuth('read'), async (req, res) => {
+    try {
+        let afterId = 0;
+        let prevHash = audit.GENESIS_HASH;
+        let checked = 0;
+        let broken = null;
+        for (;;) {
+            const rows = await db.getAuditEntriesAfter(afterId);
+            if (rows.length === 0) break;
+            const result = audit.verifyChain(rows, prevHash);
+            if (result.broken) {
+                broken = result.broken;
+                checked += rows.findIndex(row => row.id === broken.id);
+                break;
+            }
+            checked += rows.length;
+            prevHash = result.lastHash;
+            afterId = rows[rows.length - 1].id;
+        }
+        
+        if (broken) {
+            console.error(`[ALERT] Audit log chain broken at entry ${broken.id}: ${broken.reason}`);
+        }
+        respond(res, { valid: !broken, entries_checked: checked, broken, last_hash: broken ? null : prevHash });
     } catch (error) {
         respond(res, null, error.message);
     }
 });
 
 // Delete a race (only if no bets placed)
-app.delete('/admin/race/:id', adminAuth, async (req, res) => {
+app.delete('/admin/race/:id', adminAuth('races'), async (req, res) => {
     try {
         const raceId = req.params.id;
         const race = await db.getRace(raceId);
@@ -785,6 +1415,133 @@ app.delete('/admin/race/:id', adminAuth, async (req, res) => {
     }
 });
 
+// ===================
+// ADMIN ACCOUNT ENDPOINTS
+// ===================
+
+// The calling admin and what their role allows
+app.get('/admin/me', adminAuth('read'), (req, res) => {
+    const { name, role } = req.admin;
+    respond(res, { name, role, permissions: adminKeys.ROLES[role].permissions });
+});
+
+// List admin accounts and their keys
+app.get('/admin/accounts', adminAuth('admins'), async (req, res) => {
+    try {
+        respond(res, { accounts: await db.getAdminAccounts(), roles: adminKeys.ROLES });
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// Create an admin account with its first API key (the key is only ever shown in this response)
+// The bootstrap admin creates the first account directly; after that it is proposed and works once approved
+app.post('/admin/accounts', adminAuth('admins', { allowBootstrap: true }), async (req, res) => {
+    try {
+        const { name, role, label } = req.body;
+
+        if (!name || !/^[a-zA-Z0-9_.-]{2,40}$/.test(name) || name === BOOTSTRAP_ADMIN) {
+            return respond(res, null, 'name must be 2-40 letters, digits, dots, dashes or underscores');
+        }
+        if (!adminKeys.isValidRole(role)) {
+            return respond(res, null, `role must be one of: ${Object.keys(adminKeys.ROLES).join(', ')}`);
+        }
+        if (await db.getAdminAccountByName(name)) {
+            return respond(res, null, `Admin ${name} already exists`);
+        }
+
+        const apiKey = adminKeys.generateApiKey();
+        const params = { name, role, label: label || null, key_hash: apiKey.hash, key_prefix: apiKey.prefix };
+
+        if (req.admin.bootstrap) {
+            const account = await createAccountWithKey(params, req.admin.name, { firstAccount: true });
+            return respond(res, { account, api_key: apiKey.key });
+        }
+
+        const proposed = await approvals.propose('admins.create', params, req.admin);
+        respond(res, { pending_approval: true, action: proposed, api_key: apiKey.key });
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// Propose another API key for an account (e.g. to rotate the old one); it works once approved
+app.post('/admin/accounts/:id/keys', adminAuth('admins'), async (req, res) => {
+    try {
+        const account = await db.getAdminAccount(req.params.id);
+        if (!account) {
+            return respond(res, null, 'Admin account not found');
+        }
+
+        const apiKey = adminKeys.generateApiKey();
+        const proposed = await approvals.propose('admins.create_key', {
+            admin_id: account.id,
+            label: req.body.label || null,
+            key_hash: apiKey.hash,
+            key_prefix: apiKey.prefix
+        }, req.admin);
+
+        respond(res, { pending_approval: true, action: proposed, key_prefix: apiKey.prefix, api_key: apiKey.key });
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// Revoke an API key; it stops working on the next request
+app.post('/admin/keys/:id/revoke', adminAuth('admins'), async (req, res) => {
+    try {
+        const key = await db.getAdminKey(req.params.id);
+        if (!key) {
+            return respond(res, null, 'Key not found');
+        }
+        if (!await db.revokeAdminKey(key.id, req.admin.name)) {
+            return respond(res, null, 'Key is already revoked');
+        }
+
+        console.log(`[ADMIN] ${req.admin.name} revoked key ${key.key_prefix}…`);
+        respond(res, { revoked: key.id });
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// ===================
+// APPROVAL ENDPOINTS
+// ===================
+
+// Proposed actions and their history (status: pending, executing, executed, failed, rejected, expired)
+app.get('/admin/actions', adminAuth('read'), async (req, res) => {
+    try {
+        const actions = await approvals.list({ status: req.query.status || null, limit: req.query.limit });
+        respond(res, { actions, available: approvals.getActions(), window_minutes: APPROVAL_WINDOW_MINUTES });
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// Approve a pending action as the second admin; it runs straight away
+// (approvals.approve checks the action's own permission, so any admin gets this far)
+app.post('/admin/actions/:id/approve', adminAuth('read'), async (req, res) => {
+    try {
+        const action = await approvals.approve(req.params.id, req.admin);
+        if (action.status === 'failed') {
+            return respond(res, null, `Approved, but ${action.action} failed: ${action.error}`);
+        }
+        respond(res, action);
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
+// Reject a pending action (or withdraw your own proposal)
+app.post('/admin/actions/:id/reject', adminAuth('read'), async (req, res) => {
+    try {
+        respond(res, await approvals.reject(req.params.id, req.admin, req.body.reason || null));
+    } catch (error) {
+        respond(res, null, error.message);
+    }
+});
+
 // ===================
 // WEBSOCKET SERVER
 // ===================
@@ -806,23 +1563,68 @@ let wss;
 // ===================
 
 depositMonitor.onBetCreated = async (bet, race) => {
-    console.log(`[WS] Broadcasting new bet: ${bet.amount} SOL on horse #${bet.horse_number}`);
+    console.log(`[WS] Broadcasting new bet: ${formatAmount(bet.amount, race.currency)} on horse #${bet.horse_number}`);
     
     // Get updated pool stats
-    const pools = await db.getRacePoolStats(race.id);
+    const pools = displayPools(await db.getRacePoolStats(race.id), race.currency);
     
     broadcastToClients({
         type: 'bet_placed',
         bet: {
             race_id: bet.race_id,
             horse_number: bet.horse_number,
-            amount: bet.amount,
+            bet_type: bet.bet_type,
+            selection: bet.selection,
+            amount: fromBaseUnits(bet.amount, race.currency),
             user_wallet: bet.user_wallet.slice(0, 8) + '...'
         },
         pools
     });
 };
 
+// ===================
+// SCHEDULER CALLBACKS
+// ===================
+
+raceScheduler.onRaceCreated = (race) => {
+    broadcastToClients({ type: 'race_created', race: toWholeUnits(race) });
+};
+
+raceScheduler.onRaceOpened = (race) => {
+    broadcastToClients({ type: 'race_opened', race: toWholeUnits(race) });
+};
+
+raceScheduler.onRaceClosed = async (race) => {
+    const bets = await db.getBetsForRace(race.id);
+    broadcastToClients({ type: 'race_closed', race: toWholeUnits(race), total_bets: bets.length });
+};
+
+// ===================
+// PAYOUT WORKER CALLBACKS
+// ===================
+
+payoutWorker.onHalted = async (reason) => {
+    // Persist the alert so it survives until an admin resumes the worker
+    try {
+        await db.setConfig('payout_worker_halt_reason', reason);
+    } catch (error) {
+        console.error('Could not persist payout worker alert:', error.message);
+    }
+};
+
+// ===================
+// RECONCILER CALLBACKS
+// ===================
+
+reconciler.onDiscrepancies = async (report) => {
+    // Persist the alert summary so it survives a restart
+    try {
+        await db.setConfig('reconcile_alert', JSON.stringify({ at: report.finished_at, summary: report.summary }));
+    } catch (error) {
+        console.error('Could not persist reconciliation alert:', error.message);
+    }
+};
+
 // ===================
 // START SERVER
 // ===================
@@ -838,28 +1640,69 @@ async function startServer() {
         console.log(`  PUMP PONIES BACKEND`);
         console.log(`========================================`);
         console.log(`  Server running on port ${PORT}`);
-        console.log(`  Solana RPC: ${SOLANA_RPC}`);
+        console.log(`  Solana RPC: ${SOLANA_RPC_URLS.length} endpoint(s)`);
         console.log(`  Database: PostgreSQL`);
-        console.log(`  Min bet: ${MIN_BET} SOL`);
-        console.log(`  Max bet: ${MAX_BET} SOL`);
+        for (const c of listCurrencies()) {
+            console.log(`  ${c.symbol} bets: ${c.minBet} - ${c.maxBet}`);
+        }
         console.log(`  Deposit expiry: ${DEPOSIT_EXPIRY_MINUTES} minutes`);
         console.log(`  Monitor interval: ${MONITOR_INTERVAL}ms`);
+        console.log(`  Deposit detection: ${DEPOSIT_DETECTION}`);
+        console.log(`  Deposit commitment: ${DEPOSIT_COMMITMENT}${FINALIZED_THRESHOLD > 0 ? ` (finalized from ${FINALIZED_THRESHOLD} SOL)` : ''}`);
+        console.log(`  Scheduler interval: ${SCHEDULER_INTERVAL}ms`);
+        console.log(`  Auto payouts: ${AUTO_PAYOUTS ? 'enabled' : 'disabled'}`);
+        console.log(`  Reconciliation: ${RECONCILE_INTERVAL ? `every ${RECONCILE_INTERVAL}ms` : 'on request'}`);
+        console.log(`  Bootstrap admin token: ${ADMIN_TOKEN ? 'set (first account only)' : 'disabled'}`);
+        console.log(`  Approval window: ${APPROVAL_WINDOW_MINUTES} min`);
+        console.log(`  Rate limits: ${RATE_LIMIT_STORE} store, ${RATE_LIMIT_WINDOW}ms sliding window${RATE_LIMIT_ALLOWLIST.length ? `, ${RATE_LIMIT_ALLOWLIST.length} allowlisted` : ''}`);
         console.log(`========================================\n`);
     });
     
-    // Initialize database in background
+    // Health-check RPC endpoints so failing ones are skipped
+    rpcPool.start();
+    
+    // Check the database schema in background
     try {
-        await db.initialize();
+        // Refuse to serve against a schema the code doesn't match; run `npm run migrate` first
+        const { pending, unknown } = await new Migrator(db).status();
+        if (pending.length > 0) {
+            console.error(`[MIGRATE] ${pending.length} pending migration(s): ${pending.map(m => m.file).join(', ')}`);
+            console.error('[MIGRATE] Run `npm run migrate` before starting the server');
+            rpcPool.stop();
+            server.close();
+            process.exit(1);
+        }
+        if (unknown.length > 0) {
+            console.warn(`[MIGRATE] Database has ${unknown.length} migration(s) this code doesn't know about`);
+        }
+
         dbReady = true;
-        console.log('Database connected and initialized');
+        console.log('Database connected and schema up to date');
         
         // Connect payout service to monitor for auto-forwarding
         depositMonitor.setPayoutService(payoutService);
         
         // Start deposit monitor after DB is ready
         depositMonitor.start();
+        
+        // Resume persisted race schedules
+        raceScheduler.start();
+        
+        // Send pending payouts automatically if enabled (each pass reconciles in-flight payouts first)
+        if (AUTO_PAYOUTS) {
+            payoutWorker.start();
+        } else {
+            // Resolve payouts a crash left in 'processing' against the chain
+            payoutService.reconcilePayouts().catch(error => {
+                console.error('Payout reconciliation failed:', error.message);
+            });
+        }
+        
+        // Check the database against the chain periodically
+        reconciler.start();
+        rateLimiter.start();
     } catch (error) {
-        console.error('Database initialization failed:', error);
+        console.error('Database connection failed:', error);
         console.log('Server running but database not available');
     }
     
@@ -882,8 +1725,8 @@ serverPromise.then((srv) => {
         try {
             const race = await db.getActiveRace();
             if (race) {
-                const pools = await db.getRacePoolStats(race.id);
-                ws.send(JSON.stringify({ type: 'connected', race: { ...race, pools } }));
+                const pools = displayPools(await db.getRacePoolStats(race.id), race.currency);
+                ws.send(JSON.stringify({ type: 'connected', race: { ...toWholeUnits(race), pools } }));
             } else {
                 ws.send(JSON.stringify({ type: 'connected', race: null }));
             }
@@ -908,6 +1751,11 @@ serverPromise.then((srv) => {
 process.on('SIGINT', async () => {
     console.log('\nShutting down...');
     depositMonitor.stop();
+    rpcPool.stop();
+    raceScheduler.stop();
+    payoutWorker.stop();
+    reconciler.stop();
+    rateLimiter.stop();
     await db.close();
     if (server) server.close();
     process.exit(0);
@@ -916,6 +1764,11 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
     console.log('\nShutting down...');
     depositMonitor.stop();
+    rpcPool.stop();
+    raceScheduler.stop();
+    payoutWorker.stop();
+    reconciler.stop();
+    rateLimiter.stop();
     await db.close();
     if (server) server.close();
     process.exit(0);
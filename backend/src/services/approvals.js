@@ -0,0 +1,142 @@
+/**
+ * Approval Service - Two-person rule for dangerous admin actions
+ * An action is proposed by one admin and only runs once a second admin holding the
+ * same permission approves it before the proposal expires. Every proposal, approval,
+ * rejection and result is kept in admin_actions. Once named accounts exist the bootstrap
+ * admin takes no part, since whoever holds ADMIN_TOKEN may also hold one of them
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { hasPermission } = require('../utils/admin-auth');
+
+class ApprovalService {
+    constructor(db, config = {}) {
+        this.db = db;
+        this.windowMinutes = config.windowMinutes || 30;
+        this.actions = new Map();   // action name -> { label, permission, execute }
+    }
+
+    /**
+     * Register an action that needs approval
+     * @param {string} name - e.g. 'payouts.process'
+     * @param {Object} definition - { label, permission, execute(params, action) }
+     */
+    register(name, definition) {
+        this.actions.set(name, definition);
+    }
+
+    getDefinition(name) {
+        const definition = this.actions.get(name);
+        if (!definition) {
+            throw new Error(`Unknown action: ${name}`);
+        }
+        return definition;
+    }
+
+    async assertNotBootstrap(admin) {
+        if (admin.bootstrap && await this.db.hasAdminAccounts()) {
+            throw new Error('The bootstrap admin cannot propose or approve actions once named admin accounts exist');
+        }
+    }
+
+    /**
+     * Propose an action; it waits for a second admin's approval
+     * @param {Object} admin - The proposing admin (req.admin)
+     */
+    async propose(name, params, admin) {
+        const definition = this.getDefinition(name);
+        await this.assertNotBootstrap(admin);
+        if (!hasPermission(admin.role, definition.permission)) {
+            throw new Error(`Role ${admin.role} cannot propose ${name}`);
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const action = await this.db.createAdminAction(
+            uuidv4(), name, params, admin.name, now, now + this.windowMinutes * 60
+        );
+
+        console.log(`[APPROVAL] ${admin.name} proposed ${name} (${action.id}), expires in ${this.windowMinutes} min`);
+        return action;
+    }
+
+    /**
+     * Approve a pending action and run it
+     * The proposal is claimed atomically, so two approvals can't both execute it
+     * @returns {Promise<Object>} The action with its result or error
+     */
+    async approve(id, admin) {
+        await this.db.expireAdminActions(Math.floor(Date.now() / 1000));
+
+        const action = await this.db.getAdminAction(id);
+        if (!action) {
+            throw new Error('Action not found');
+        }
+        const definition = this.getDefinition(action.action);
+
+        if (action.status !== 'pending') {
+            throw new Error(`Action is ${action.status}`);
+        }
+        if (action.proposed_by === admin.name) {
+            throw new Error('An action must be approved by a different admin than the one who proposed it');
+        }
+        if (!hasPermission(admin.role, definition.permission)) {
+            throw new Error(`Role ${admin.role} cannot approve ${action.action}`);
+        }
+        await this.assertNotBootstrap(admin);
+
+        const claimed = await this.db.claimAdminAction(id, admin.name, Math.floor(Date.now() / 1000));
+        if (!claimed) {
+            throw new Error('Action is no longer pending');
+        }
+
+        console.log(`[APPROVAL] ${admin.name} approved ${action.action} (${id}) proposed by ${action.proposed_by}`);
+
+        try {
+            const result = await definition.execute(action.params, action);
+            return await this.db.finishAdminAction(id, 'executed', result ?? null, null);
+        } catch (error) {
+            console.error(`[APPROVAL] ${action.action} (${id}) failed:`, error.message);
+            return await this.db.finishAdminAction(id, 'failed', null, error.message);
+        }
+    }
+
+    /**
+     * Reject a pending action; the proposer may also withdraw their own proposal
+     */
+    async reject(id, admin, reason = null) {
+        const action = await this.db.getAdminAction(id);
+        if (!action) {
+            throw new Error('Action not found');
+        }
+        const definition = this.getDefinition(action.action);
+
+        if (action.proposed_by !== admin.name && !hasPermission(admin.role, definition.permission)) {
+            throw new Error(`Role ${admin.role} cannot reject ${action.action}`);
+        }
+
+        const rejected = await this.db.rejectAdminAction(id, admin.name, Math.floor(Date.now() / 1000), reason);
+        if (!rejected) {
+            throw new Error(`Action is ${action.status}`);
+        }
+
+        console.log(`[APPROVAL] ${admin.name} rejected ${action.action} (${id})${reason ? `: ${reason}` : ''}`);
+        return rejected;
+    }
+
+    /**
+     * Proposals, newest first (expired ones are marked first)
+     */
+    async list({ status = null, limit = 50 } = {}) {
+        await this.db.expireAdminActions(Math.floor(Date.now() / 1000));
+        return await this.db.getAdminActions({ status, limit });
+    }
+
+    /**
+     * Registered actions and who can approve them
+     */
+    getActions() {
+        return [...this.actions.entries()].map(([name, d]) => ({ action: name, label: d.label, permission: d.permission }));
+    }
+}
+
+module.exports = ApprovalService;
@@ -1,10 +1,17 @@
 /**
  * Deposit Monitor Service
- * Watches all active deposit addresses for incoming SOL transfers
+ * Watches all active deposit addresses for incoming SOL or SPL token transfers
+ * In 'polling' mode every address is checked each interval; in 'subscription' mode
+ * addresses are checked when an account change notification arrives, with a slower
+ * full poll as a fallback for missed notifications
  */
 
 const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const { v4: uuidv4 } = require('uuid');
+const { BET_TYPES, parseSelection, normalizeFinishingOrder, sameFinishingOrder, winningSelections, deadHeatFactors } = require('../utils/bet-types');
+const { getCurrency, isTokenCurrency, toBaseUnits, formatAmount } = require('../utils/currencies');
+const ledger = require('../utils/ledger');
+const { expectedFinishingOrder, matchesOutcome } = require('../utils/fairness');
 
 class DepositMonitor {
     constructor(db, walletService, config = {}) {
@@ -12,12 +19,24 @@ class DepositMonitor {
         this.walletService = walletService;
         this.payoutService = null; // Set by server.js for auto-forwarding
         this.intervalMs = config.intervalMs || 5000;
-        this.minBet = config.minBet || 0.01;
-        this.maxBet = config.maxBet || 20;
+        this.detectionMode = config.detectionMode || 'polling';
+        // Confirmation depth: transfers are credited at this commitment, or 'finalized' from the threshold up
+        this.commitment = config.commitment || 'confirmed';
+        this.finalizedThreshold = config.finalizedThreshold || 0;
+        // Seconds past expiry a held transfer is still re-checked before it is given up on
+        this.confirmationTimeout = (config.confirmationTimeoutMinutes || 30) * 60;
+        this.fallbackIntervalMs = config.fallbackIntervalMs || 60000;
         this.isRunning = false;
         this.intervalHandle = null;
         
-        // Track processed signatures to avoid duplicates
+        // Subscription mode state
+        this.subscriptions = new Map();   // address -> subscription id
+        this.checkingAddresses = new Set();
+        this.recheckAddresses = new Set();
+        this.awaitingFinality = new Map();   // address -> deposit with a transfer short of its required depth
+        this.lastFullPoll = 0;
+        
+        // Cache of processed signatures; the processed_signatures table is authoritative
         this.processedSignatures = new Set();
         
         // Refund queue - deposits that need refunds
@@ -38,8 +57,9 @@ class DepositMonitor {
 
     /**
      * Queue a refund for a rejected deposit
+     * @param {Object} db - Database or transaction handle to write with (the caller's transaction in processDeposit)
      */
-    async queueRefund(deposit, transfer, reason) {
+    async queueRefund(deposit, transfer, reason, db = this.db) {
         const refund = {
             deposit_id: deposit.id,
             deposit_address: deposit.address,
@@ -51,21 +71,133 @@ class DepositMonitor {
             created_at: Date.now()
         };
 
-        this.refundQueue.push(refund);
-        console.log(`Refund queued: ${transfer.amount} SOL to ${transfer.fromAddress?.slice(0, 8)}... - Reason: ${reason}`);
-
         // Store refund in database for persistence
-        await this.db.query(
-            `INSERT INTO refunds (id, deposit_id, user_wallet, amount, reason, status, created_at) VALUES ($1, $2, $3, $4, $5, 'pending', $6)`,
-            [uuidv4(), deposit.id, transfer.fromAddress, transfer.amount, reason, Math.floor(Date.now() / 1000)]
+        await db.query(
+            `INSERT INTO refunds (id, deposit_id, user_wallet, amount, reason, status, created_at, currency) VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7)`,
+            [uuidv4(), deposit.id, transfer.fromAddress, transfer.amount, reason, Math.floor(Date.now() / 1000), deposit.currency || 'SOL']
         );
+        await db.postLedgerTransaction('deposit', transfer.signature,
+            ledger.transfer('deposit_addresses', 'refunds_owed', transfer.amount, deposit.currency || 'SOL'),
+            { raceId: deposit.race_id, memo: reason });
+
+        return refund;
+    }
+
+    /**
+     * Announce a refund once it has been committed
+     */
+    refundQueued(refund) {
+        this.refundQueue.push(refund);
+        console.log(`Refund queued: ${formatAmount(refund.amount, refund.currency)} to ${refund.user_wallet?.slice(0, 8)}... - Reason: ${refund.reason}`);
 
         // Trigger callback if set
         if (this.onRefundNeeded) {
             this.onRefundNeeded(refund);
         }
+    }
 
-        return refund;
+    /**
+     * Queue a refund for a confirmed bet (its funds were already forwarded to the master wallet)
+     * The bet is taken out of the pools immediately
+     * @param {Object} db - Database or transaction handle to write with (the caller's transaction in scratchHorse and cancelRace)
+     */
+    async queueBetRefund(bet, reason, db = this.db) {
+        const refundId = uuidv4();
+        // Refunded in the race's currency
+        const result = await db.query(
+            `INSERT INTO refunds (id, deposit_id, bet_id, user_wallet, amount, reason, status, created_at, currency)
+             SELECT $1, $2, $3, $4, $5, $6, 'pending', $7, currency FROM races WHERE id = $8
+             RETURNING currency`,
+            [refundId, bet.deposit_address_id, bet.id, bet.user_wallet, bet.amount, reason, Math.floor(Date.now() / 1000), bet.race_id]
+        );
+        await db.markBetRefunded(bet.id);
+
+        const currency = result.rows[0]?.currency || 'SOL';
+        await db.postLedgerTransaction('bet_refund', bet.id,
+            ledger.transfer('bets', 'refunds_owed', bet.amount, currency),
+            { raceId: bet.race_id, memo: reason });
+
+        return { id: refundId, bet_id: bet.id, user_wallet: bet.user_wallet, amount: bet.amount, currency, reason };
+    }
+
+    /**
+     * Log bet refunds once they have been committed
+     */
+    betRefundsQueued(refunds) {
+        for (const refund of refunds) {
+            console.log(`Bet refund queued: ${formatAmount(refund.amount, refund.currency)} to ${refund.user_wallet.slice(0, 8)}... - Reason: ${refund.reason}`);
+        }
+    }
+
+    /**
+     * Scratch a horse: withdraw it from the race and refund every bet that includes it
+     * All in one transaction holding the race lock, so no bet on the horse lands in between
+     * and a failure leaves the horse unscratched for a retry
+     * @returns {Promise<Array|null>} Queued refunds, or null if the horse was already scratched
+     */
+    async scratchHorse(raceId, horseNumber) {
+        const refunds = await this.db.withTransaction(async (tx) => {
+            const race = await tx.lockRace(raceId);
+            if (!race) {
+                throw new Error('Race not found');
+            }
+            if (race.status === 'completed') {
+                throw new Error('Cannot scratch a horse from a completed race');
+            }
+
+            const scratched = await tx.scratchHorse(raceId, horseNumber);
+            if (!scratched) {
+                return null;
+            }
+
+            const bets = await tx.getActiveBetsForRace(raceId);
+            const affected = bets.filter(bet =>
+                parseSelection(bet.selection || bet.horse_number).includes(horseNumber)
+            );
+
+            const queued = [];
+            for (const bet of affected) {
+                queued.push(await this.queueBetRefund(bet, `Horse #${horseNumber} scratched`, tx));
+            }
+            return queued;
+        });
+
+        if (!refunds) {
+            return null;
+        }
+
+        console.log(`Horse #${horseNumber} scratched from race ${raceId}`);
+        this.betRefundsQueued(refunds);
+        return refunds;
+    }
+
+    /**
+     * Cancel a race and refund every confirmed bet in it
+     * Deposits that arrive later are rejected because the race is no longer open
+     * All in one transaction holding the race lock, so a failure leaves the race uncancelled for a retry
+     */
+    async cancelRace(raceId, reason = 'Race cancelled') {
+        const { race, refunds } = await this.db.withTransaction(async (tx) => {
+            const locked = await tx.lockRace(raceId);
+            if (!locked) {
+                throw new Error('Race not found');
+            }
+            if (locked.status === 'completed' || locked.status === 'cancelled') {
+                throw new Error(`Cannot cancel a ${locked.status} race`);
+            }
+
+            const cancelled = await tx.cancelRace(raceId, reason);
+            const queued = [];
+            for (const bet of await tx.getActiveBetsForRace(raceId)) {
+                queued.push(await this.queueBetRefund(bet, reason, tx));
+            }
+            return { race: cancelled, refunds: queued };
+        });
+
+        console.log(`Race ${raceId} cancelled: ${reason}`);
+        this.betRefundsQueued(refunds);
+
+        return { race, refunds };
     }
 
     /**
@@ -87,12 +219,110 @@ class DepositMonitor {
             return;
         }
 
-        console.log(`Starting deposit monitor (interval: ${this.intervalMs}ms)`);
+        console.log(`Starting deposit monitor (mode: ${this.detectionMode}, interval: ${this.intervalMs}ms)`);
         this.isRunning = true;
         
         // Run immediately, then on interval
-        this.checkDeposits();
-        this.intervalHandle = setInterval(() => this.checkDeposits(), this.intervalMs);
+        this.runCycle();
+        this.intervalHandle = setInterval(() => this.runCycle(), this.intervalMs);
+    }
+
+    /**
+     * One monitor pass: poll every address, or keep subscriptions in sync and poll on the fallback interval
+     */
+    async runCycle() {
+        if (this.detectionMode === 'subscription') {
+            await this.syncSubscriptions();
+
+            // Finalization doesn't trigger a notification, so keep checking these
+            for (const deposit of this.awaitingFinality.values()) {
+                await this.checkSingleDeposit(deposit);
+            }
+
+            if (Date.now() - this.lastFullPoll < this.fallbackIntervalMs) {
+                return;
+            }
+        }
+        await this.checkDeposits();
+    }
+
+    /**
+     * Subscribe to every active deposit address and drop subscriptions for expired ones
+     */
+    async syncSubscriptions() {
+        try {
+            const activeDeposits = await this.db.getActiveDeposits(this.confirmationTimeout);
+            const activeAddresses = new Set(activeDeposits.map(d => d.address));
+
+            for (const deposit of activeDeposits) {
+                this.watchDeposit(deposit);
+            }
+
+            for (const [address, subscriptionId] of this.subscriptions) {
+                if (!activeAddresses.has(address)) {
+                    await this.walletService.unsubscribe(subscriptionId);
+                    this.subscriptions.delete(address);
+                }
+            }
+        } catch (error) {
+            console.error('Error syncing deposit subscriptions:', error);
+        }
+    }
+
+    /**
+     * Start watching a deposit address (no-op in polling mode or if already watched)
+     * Called by server.js as soon as an address is issued so the first transfer isn't missed
+     */
+    watchDeposit(deposit) {
+        if (this.detectionMode !== 'subscription' || !this.isRunning || this.subscriptions.has(deposit.address)) {
+            return;
+        }
+
+        try {
+            const subscriptionId = this.walletService.subscribeToAccount(
+                deposit.token_account || deposit.address,
+                (accountInfo) => this.onAccountChange(deposit, accountInfo)
+            );
+            this.subscriptions.set(deposit.address, subscriptionId);
+        } catch (error) {
+            // The fallback poll still covers this address
+            console.warn(`Could not subscribe to ${deposit.address.slice(0, 8)}..., relying on polling:`, error.message);
+        }
+    }
+
+    /**
+     * Account change notification for a deposit address
+     */
+    async onAccountChange(deposit, accountInfo) {
+        // Balance drops (collections, refunds) need no action
+        if (!accountInfo || accountInfo.lamports <= 0) {
+            return;
+        }
+        console.log(`Account change on deposit address ${deposit.address.slice(0, 8)}...`);
+        await this.checkSingleDeposit(deposit);
+    }
+
+    getStatus() {
+        return {
+            mode: this.detectionMode,
+            running: this.isRunning,
+            subscriptions: this.subscriptions.size,
+            last_full_poll: this.lastFullPoll ? Math.floor(this.lastFullPoll / 1000) : null,
+            commitment: this.commitment,
+            finalized_threshold: this.finalizedThreshold || null,
+            awaiting_finality: this.awaitingFinality.size
+        };
+    }
+
+    /**
+     * Commitment a transfer must reach before it is credited
+     * The finalized threshold is in SOL, so token transfers only follow the base commitment
+     */
+    getRequiredCommitment(amount, currency = 'SOL') {
+        if (this.finalizedThreshold > 0 && currency === 'SOL' && amount >= toBaseUnits(this.finalizedThreshold, 'SOL')) {
+            return 'finalized';
+        }
+        return this.commitment;
     }
 
     /**
@@ -108,23 +338,29 @@ class DepositMonitor {
             clearInterval(this.intervalHandle);
             this.intervalHandle = null;
         }
+
+        for (const subscriptionId of this.subscriptions.values()) {
+            this.walletService.unsubscribe(subscriptionId);
+        }
+        this.subscriptions.clear();
     }
 
     /**
-     * Check all waiting deposit addresses for new transfers
+     * Check all deposit addresses inside their validity window for new transfers
      */
     async checkDeposits() {
+        this.lastFullPoll = Date.now();
         try {
-            // Get all waiting deposits
-            const waitingDeposits = await this.db.getWaitingDeposits();
+            // Addresses keep accepting top-ups until they expire
+            const activeDeposits = await this.db.getActiveDeposits(this.confirmationTimeout);
             
-            if (waitingDeposits.length === 0) {
+            if (activeDeposits.length === 0) {
                 return;
             }
 
-            console.log(`Checking ${waitingDeposits.length} waiting deposit addresses...`);
+            console.log(`Checking ${activeDeposits.length} active deposit addresses...`);
 
-            for (const deposit of waitingDeposits) {
+            for (const deposit of activeDeposits) {
                 await this.checkSingleDeposit(deposit);
             }
 
@@ -140,114 +376,194 @@ class DepositMonitor {
      * Check a single deposit address for new transfers
      */
     async checkSingleDeposit(deposit) {
+        // A notification and a poll can land at the same time; check again once the current pass ends
+        if (this.checkingAddresses.has(deposit.address)) {
+            this.recheckAddresses.add(deposit.address);
+            return;
+        }
+        this.checkingAddresses.add(deposit.address);
+
         try {
+            // Token deposits land in the address's associated token account
+            const currency = getCurrency(deposit.currency);
+            const isToken = isTokenCurrency(currency.code);
+            const watchAddress = isToken ? deposit.token_account : deposit.address;
+
             // Get balance
-            const balance = await this.walletService.getBalance(deposit.address);
+            const balance = isToken
+                ? await this.walletService.getTokenBalance(watchAddress)
+                : await this.walletService.getBalance(deposit.address);
             
             if (balance <= 0) {
                 return; // No funds yet
             }
 
-            console.log(`Found ${balance} SOL at deposit address ${deposit.address.slice(0, 8)}...`);
+            console.log(`Found ${balance} ${currency.symbol} at deposit address ${deposit.address.slice(0, 8)}...`);
 
-            // Get recent transactions to find the deposit
-            const transactions = await this.walletService.getRecentTransactions(deposit.address, 5);
+            // Get recent transactions, oldest first so bets are placed in the order they were sent
+            const transactions = (await this.walletService.getRecentTransactions(watchAddress, 20)).reverse();
+            let awaitingFinality = false;
             
             for (const txInfo of transactions) {
-                // Skip if already processed
+                if (txInfo.err) {
+                    continue;
+                }
+
+                // Skip if already processed (including our own collections and refunds from this address)
                 if (this.processedSignatures.has(txInfo.signature)) {
                     continue;
                 }
+                if (await this.db.isSignatureProcessed(txInfo.signature)) {
+                    this.processedSignatures.add(txInfo.signature);
+                    continue;
+                }
 
                 // Get full transaction details
                 const tx = await this.walletService.getTransaction(txInfo.signature);
-                const transfer = this.walletService.parseSOLTransfer(tx, deposit.address);
+                const transfer = isToken
+                    ? this.walletService.parseTokenTransfer(tx, deposit.address, currency.mint)
+                    : this.walletService.parseSOLTransfer(tx, deposit.address);
 
-                if (transfer && transfer.amount > 0) {
-                    await this.processDeposit(deposit, transfer);
-                    this.processedSignatures.add(txInfo.signature);
-                    break; // Process only first valid transfer
+                if (!transfer || transfer.amount <= 0) {
+                    continue;
                 }
+
+                // Hold the transfer until it reaches the depth its size requires
+                if (this.getRequiredCommitment(transfer.amount, currency.code) === 'finalized' && txInfo.confirmationStatus !== 'finalized') {
+                    if (!this.awaitingFinality.has(deposit.address)) {
+                        console.log(`Deposit of ${formatAmount(transfer.amount, currency.code)} to ${deposit.address.slice(0, 8)}... waiting for finalization`);
+                    }
+                    await this.db.setDepositPendingConfirmation(deposit.id);
+                    awaitingFinality = true;
+                    continue;
+                }
+
+                // Every transfer becomes its own bet (or refund)
+                await this.processDeposit(deposit, transfer);
+                this.processedSignatures.add(txInfo.signature);
+            }
+
+            if (awaitingFinality) {
+                this.awaitingFinality.set(deposit.address, deposit);
+            } else {
+                if (deposit.awaiting_confirmation || this.awaitingFinality.has(deposit.address)) {
+                    await this.db.clearDepositPendingConfirmation(deposit.id);
+                }
+                this.awaitingFinality.delete(deposit.address);
             }
 
         } catch (error) {
             console.error(`Error checking deposit ${deposit.id}:`, error);
+        } finally {
+            this.checkingAddresses.delete(deposit.address);
+        }
+
+        if (this.recheckAddresses.delete(deposit.address)) {
+            await this.checkSingleDeposit(deposit);
         }
     }
 
     /**
-     * Process a confirmed deposit
+     * Process one confirmed transfer to a deposit address
+     * Claiming the signature and every write for the transfer share one transaction, so a failure
+     * part way leaves the transfer unclaimed for the next pass instead of claimed with no bet or refund
      */
     async processDeposit(deposit, transfer) {
-        console.log(`Processing deposit: ${transfer.amount} SOL from ${transfer.fromAddress?.slice(0, 8)}...`);
-
-        // Validate minimum amount
-        if (transfer.amount < this.minBet) {
-            console.log(`Deposit too small: ${transfer.amount} SOL (min: ${this.minBet})`);
-            await this.db.updateDepositStatus(deposit.id, 'rejected_too_small', transfer.amount, transfer.signature, transfer.fromAddress);
-            // Queue refund
-            await this.queueRefund(deposit, transfer, 'Amount below minimum bet');
-            return;
-        }
+        const currency = getCurrency(deposit.currency);
+        console.log(`Processing deposit: ${formatAmount(transfer.amount, currency.code)} from ${transfer.fromAddress?.slice(0, 8)}...`);
+
+        const result = await this.db.withTransaction(async (tx) => {
+            // Claim the transaction before acting on it so it can never become two bets or two refunds
+            const claimed = await tx.markSignatureProcessed(transfer.signature, 'deposit', deposit.id);
+            if (!claimed) {
+                return null;
+            }
 
-        // Validate maximum amount - REJECT and refund if over max
-        if (transfer.amount > this.maxBet) {
-            console.log(`Deposit too large: ${transfer.amount} SOL (max: ${this.maxBet}) - REJECTING`);
-            await this.db.updateDepositStatus(deposit.id, 'rejected_over_max', transfer.amount, transfer.signature, transfer.fromAddress);
-            // Queue refund
-            await this.queueRefund(deposit, transfer, `Amount exceeds maximum bet of ${this.maxBet} SOL`);
-            return;
-        }
+            const reject = async (status, reason) => {
+                await tx.recordDepositTransfer(deposit.id, status, transfer.amount, transfer.signature, transfer.fromAddress);
+                const refund = await this.queueRefund(deposit, transfer, reason, tx);
+                return { refund: { ...refund, currency: currency.code } };
+            };
 
-        // Check if race is still open for betting
-        const race = await this.db.getRace(deposit.race_id);
-        if (!race || race.status !== 'open') {
-            console.log(`Race ${deposit.race_id} not open for betting. Status: ${race?.status}`);
-            await this.db.updateDepositStatus(deposit.id, 'rejected_race_closed', transfer.amount, transfer.signature, transfer.fromAddress);
-            // Queue refund
-            await this.queueRefund(deposit, transfer, 'Race is not open for betting');
-            return;
-        }
+            // Validate minimum amount (limits are configured in whole units)
+            if (transfer.amount < toBaseUnits(currency.minBet, currency.code)) {
+                console.log(`Deposit too small: ${formatAmount(transfer.amount, currency.code)} (min: ${currency.minBet})`);
+                return await reject('rejected_too_small', 'Amount below minimum bet');
+            }
 
-        // Check if this transaction was already processed (prevent duplicates)
-        const existingBetResult = await this.db.query(
-            'SELECT id FROM bets WHERE transaction_signature = $1',
-            [transfer.signature]
-        );
-        if (existingBetResult.rows.length > 0) {
+            // Validate maximum amount - REJECT and refund if over max
+            if (transfer.amount > toBaseUnits(currency.maxBet, currency.code)) {
+                console.log(`Deposit too large: ${formatAmount(transfer.amount, currency.code)} (max: ${currency.maxBet}) - REJECTING`);
+                return await reject('rejected_over_max', `Amount exceeds maximum bet of ${currency.maxBet} ${currency.symbol}`);
+            }
+
+            // Check if race is still open for betting; the lock holds off settlement until the bet is in
+            const race = await tx.lockRace(deposit.race_id);
+            if (!race || race.status !== 'open') {
+                console.log(`Race ${deposit.race_id} not open for betting. Status: ${race?.status}`);
+                return await reject('rejected_race_closed', 'Race is not open for betting');
+            }
+
+            // Reject bets that include a scratched horse
+            const scratchedHorses = race.horses.filter(h => h.scratched).map(h => h.horse_number);
+            const selectedHorses = parseSelection(deposit.selection || deposit.horse_number);
+            if (selectedHorses.some(h => scratchedHorses.includes(h))) {
+                console.log(`Deposit ${deposit.id} includes a scratched horse - REJECTING`);
+                return await reject('rejected_scratched', 'Horse was scratched from the race');
+            }
+
+            // Add the transfer to the deposit's running total
+            await tx.recordDepositTransfer(
+                deposit.id, 
+                'confirmed', 
+                transfer.amount, 
+                transfer.signature, 
+                transfer.fromAddress
+            );
+
+            // Calculate odds at time of placement (within this bet type's pool)
+            const betType = deposit.bet_type || 'win';
+            const poolKey = betType === 'win' ? deposit.horse_number : deposit.selection;
+            const pools = await tx.getRacePoolStats(deposit.race_id, betType);
+            const totalPool = Object.values(pools).reduce((sum, p) => sum + p.amount, 0) + transfer.amount;
+            const selectionPool = (pools[poolKey]?.amount || 0) + transfer.amount;
+            const odds = totalPool / selectionPool;
+
+            // Create the bet record
+            const betId = uuidv4();
+            const bet = await tx.createBet(
+                betId,
+                deposit.race_id,
+                deposit.horse_number,
+                deposit.id,
+                transfer.fromAddress,
+                transfer.amount,
+                transfer.signature,
+                odds,
+                betType,
+                deposit.selection,
+                currency.code
+            );
+
+            await tx.postLedgerTransaction('deposit', transfer.signature,
+                ledger.transfer('deposit_addresses', 'bets', transfer.amount, currency.code),
+                { raceId: deposit.race_id, memo: `Bet ${betId}` });
+
+            return { bet, race };
+        });
+
+        if (!result) {
             console.log(`Transaction ${transfer.signature.slice(0, 16)}... already processed, skipping`);
             return null;
         }
+        if (result.refund) {
+            this.refundQueued(result.refund);
+            return null;
+        }
 
-        // Update deposit status
-        await this.db.updateDepositStatus(
-            deposit.id, 
-            'confirmed', 
-            transfer.amount, 
-            transfer.signature, 
-            transfer.fromAddress
-        );
-
-        // Calculate odds at time of placement
-        const pools = await this.db.getRacePoolStats(deposit.race_id);
-        const totalPool = Object.values(pools).reduce((sum, p) => sum + p.amount, 0) + transfer.amount;
-        const horsePool = (pools[deposit.horse_number]?.amount || 0) + transfer.amount;
-        const odds = totalPool / horsePool;
-
-        // Create the bet record
-        const betId = uuidv4();
-        const bet = await this.db.createBet(
-            betId,
-            deposit.race_id,
-            deposit.horse_number,
-            deposit.id,
-            transfer.fromAddress,
-            transfer.amount,
-            transfer.signature,
-            odds
-        );
-
-        console.log(`Bet created: ${betId} - ${transfer.amount} SOL on horse #${deposit.horse_number}`);
+        const { bet, race } = result;
+        const betType = deposit.bet_type || 'win';
+        console.log(`Bet created: ${bet.id} - ${formatAmount(transfer.amount, currency.code)} ${betType} on ${betType === 'win' ? `horse #${deposit.horse_number}` : deposit.selection}`);
 
         // Auto-forward funds to master wallet
         if (this.payoutService) {
@@ -257,10 +573,11 @@ class DepositMonitor {
                 if (depositWithKey && depositWithKey.private_key) {
                     const result = await this.payoutService.collectFromDepositAddress(
                         depositWithKey.address,
-                        depositWithKey.private_key
+                        depositWithKey.private_key,
+                        deposit.currency
                     );
                     if (result) {
-                        console.log(`Auto-forwarded ${result.amount} SOL to master wallet (${result.masterAmount} SOL) and house (${result.houseCut} SOL)`);
+                        console.log(`Auto-forwarded ${formatAmount(result.amount, currency.code)} to master wallet`);
                     }
                 }
             } catch (err) {
@@ -288,7 +605,9 @@ class DepositMonitor {
         
         for (const deposit of expired) {
             // Check one more time if there's actually money there
-            const balance = await this.walletService.getBalance(deposit.address);
+            const balance = isTokenCurrency(deposit.currency)
+                ? await this.walletService.getTokenBalance(deposit.token_account)
+                : await this.walletService.getBalance(deposit.address);
             
             if (balance > 0) {
                 // Someone deposited after expiry - still process it
@@ -299,63 +618,225 @@ class DepositMonitor {
             // Mark as expired
             await this.db.updateDepositStatus(deposit.id, 'expired');
         }
+
+        // A transfer that never reaches its depth (dropped fork, RPC never reports it finalized) stops being
+        // polled; a deposit with no bet is left 'unconfirmed', a top-up to a confirmed one keeps its status,
+        // and the reconciler reports the uncredited funds
+        const stalled = await this.db.getStalledConfirmations(this.confirmationTimeout);
+        for (const deposit of stalled) {
+            const outcome = deposit.status === 'pending_confirmation' ? 'marked unconfirmed' : `left ${deposit.status}`;
+            console.warn(`[ALERT] Transfer to deposit ${deposit.id} at ${deposit.address.slice(0, 8)}... never reached its required confirmation depth, ${outcome}`);
+            await this.db.markConfirmationStalled(deposit.id);
+            this.awaitingFinality.delete(deposit.address);
+        }
+    }
+
+    /**
+     * Settle a race in one transaction: bet winnings, payouts, the ledger entry and the result are written
+     * together or not at all, with the race row locked so two settlements can't interleave.
+     * Running it again is safe - a race already settled with the same finishing order
+     * returns its results without queueing any new payouts.
+     * Races with a committed outcome settle on it (finishing order may be omitted) and reveal it;
+     * a different finishing order is refused unless overrideCommitment is set, which is published
+     * @param {string} raceId
+     * @param {Array|number|null} finishingOrder - null to use the committed outcome
+     * @param {Object} options - { overrideCommitment }
+     * @returns {Promise<Object>} { race, results, already_settled }
+     */
+    async settleRace(raceId, finishingOrder, { overrideCommitment = false } = {}) {
+        return await this.db.withTransaction(async (tx) => {
+            const race = await tx.lockRace(raceId);
+            if (!race) {
+                throw new Error('Race not found');
+            }
+            if (race.status === 'cancelled') {
+                throw new Error('Race was cancelled and its bets refunded');
+            }
+
+            const alreadySettled = race.status === 'completed';
+            let groups;
+            let overridden = false;
+
+            if (alreadySettled) {
+                groups = normalizeFinishingOrder(finishingOrder ?? race.finishing_order);
+                if (!sameFinishingOrder(race.finishing_order, groups)) {
+                    throw new Error(`Race was already settled with finishing order ${JSON.stringify(race.finishing_order)}`);
+                }
+            } else {
+                const sealed = await tx.getSealedOutcome(raceId);
+                const scratched = race.horses.filter(h => h.scratched).map(h => h.horse_number);
+                const expected = sealed ? expectedFinishingOrder(sealed.outcome, scratched) : null;
+
+                if (finishingOrder == null) {
+                    if (!expected) {
+                        throw new Error('Race has no committed outcome - a finishing order is required');
+                    }
+                    groups = normalizeFinishingOrder(expected);
+                } else {
+                    groups = normalizeFinishingOrder(finishingOrder);
+                    if (expected && !matchesOutcome(expected, groups)) {
+                        if (!overrideCommitment) {
+                            throw new Error(`Finishing order does not match the committed outcome ${JSON.stringify(expected)}`);
+                        }
+                        overridden = true;
+                        console.warn(`[FAIRNESS] Race ${raceId} settled against its commitment: ${JSON.stringify(groups)} instead of ${JSON.stringify(expected)}`);
+                    }
+                }
+            }
+
+            const results = await this.calculateWinnings(raceId, groups, tx);
+            if (alreadySettled) {
+                return { race, results, already_settled: true };
+            }
+
+            // Stakes leave the bets account: winners' payouts become owed, the rest is the house's
+            const paidOut = results.winners.reduce((sum, w) => sum + w.total_payout, 0);
+            await tx.postLedgerTransaction('settlement', raceId, [
+                { account: 'bets', currency: results.currency, amount: results.total_pool },
+                { account: 'payouts_owed', currency: results.currency, amount: -paidOut },
+                { account: 'house', currency: results.currency, amount: -results.house_take }
+            ], { raceId });
+
+            await tx.revealOutcome(raceId, overridden);
+            const settledRace = await tx.setRaceWinner(raceId, groups[0][0], results.total_pool, groups, results.house_take);
+
+            return { race: settledRace, results, already_settled: false };
+        });
     }
 
     /**
      * Calculate winnings for all bets when race ends
+     * Each bet type is settled as its own parimutuel pool; each winning selection gets its
+     * position's share of the distributable pool, split by dead-heat factor between tied selections
+     * @param {string} raceId
+     * @param {Array<number|Array<number>>|number} finishingOrder - First place first, ties as nested arrays (a single winner is accepted)
+     * @param {PumpPoniesDB} db - Database to write through (a transaction when called from settleRace)
      */
-    async calculateWinnings(raceId, winningHorse) {
-        const bets = await this.db.getBetsForRace(raceId);
-        const pools = await this.db.getRacePoolStats(raceId);
-        
-        const totalPool = Object.values(pools).reduce((sum, p) => sum + p.amount, 0);
-        const winningPool = pools[winningHorse]?.amount || 0;
-        const losingPool = totalPool - winningPool;
+    async calculateWinnings(raceId, finishingOrder, db = this.db) {
+        const groups = normalizeFinishingOrder(finishingOrder);
+        const winningHorses = groups[0];
+        const bets = await db.getActiveBetsForRace(raceId);
+        const race = await db.getRace(raceId);
+        const currency = getCurrency(race?.currency);
         
-        const houseEdge = parseFloat(process.env.HOUSE_EDGE_PERCENT || 5) / 100;
-        const distributablePool = losingPool * (1 - houseEdge);
+        // House edge in basis points so the cut is integer math too
+        const houseEdgeBps = Math.round(parseFloat(process.env.HOUSE_EDGE_PERCENT || 5) * 100);
 
-        console.log(`Race ${raceId} ended. Winner: Horse #${winningHorse}`);
-        console.log(`Total pool: ${totalPool} SOL, Winning pool: ${winningPool} SOL, Losing pool: ${losingPool} SOL`);
+        console.log(`Race ${raceId} ended. Finishing order: ${groups.map(g => g.join('=')).join(', ')}`);
 
+        const pools = {};
         const winners = [];
 
-        for (const bet of bets) {
-            if (bet.horse_number === winningHorse) {
-                // Winner - calculate proportional share
-                const share = bet.amount / winningPool;
-                const winnings = distributablePool * share;
-                const totalPayout = bet.amount + winnings;
+        for (const betType of Object.keys(BET_TYPES)) {
+            const poolBets = bets.filter(b => (b.bet_type || 'win') === betType);
+            const factors = winningSelections(betType, groups);
+            const deadHeats = deadHeatFactors(betType, groups);
+            // Win bets placed before selections existed only carry horse_number
+            const ticketOf = (bet) => betType === 'win' ? String(bet.horse_number) : bet.selection;
 
-                await this.db.updateBetWinnings(bet.id, winnings);
+            if (poolBets.length > 0 && !factors) {
+                throw new Error(`Finishing order must include at least ${BET_TYPES[betType].places} horses to settle the ${betType} pool`);
+            }
 
-                winners.push({
-                    bet_id: bet.id,
-                    user_wallet: bet.user_wallet,
-                    bet_amount: bet.amount,
-                    winnings: winnings,
-                    total_payout: totalPayout
-                });
+            // Stake backing each winning selection
+            const winningGroups = {};
+            for (const selection of Object.keys(factors || {})) {
+                winningGroups[selection] = poolBets
+                    .filter(b => ticketOf(b) === selection)
+                    .reduce((sum, b) => sum + b.amount, 0);
+            }
 
-                // Create payout record
-                const payoutId = uuidv4();
-                await this.db.createPayout(payoutId, bet.id, bet.user_wallet, totalPayout);
+            const totalPool = poolBets.reduce((sum, b) => sum + b.amount, 0);
+            const winningPool = Object.values(winningGroups).reduce((sum, amount) => sum + amount, 0);
+            const losingPool = totalPool - winningPool;
+            // Rounding rule: every share paid out is rounded down, the house keeps the remainder
+            const distributablePool = Math.floor(losingPool * (10000 - houseEdgeBps) / 10000);
+            const houseCut = losingPool - distributablePool;
+
+            // Unbacked winning selections forfeit their share to the backed ones
+            const backedFactor = Object.keys(winningGroups)
+                .filter(selection => winningGroups[selection] > 0)
+                .reduce((sum, selection) => sum + factors[selection], 0);
+
+            // Share of the distributable pool for each backed selection (position share and dead heat)
+            const selectionPots = {};
+            let allocated = 0;
+            for (const selection of Object.keys(winningGroups)) {
+                if (winningGroups[selection] > 0) {
+                    const pot = Math.floor(distributablePool * factors[selection] / backedFactor);
+                    selectionPots[selection] = Math.min(pot, distributablePool - allocated);
+                    allocated += selectionPots[selection];
+                }
+            }
 
-                console.log(`Winner: ${bet.user_wallet.slice(0, 8)}... bet ${bet.amount} SOL, wins ${winnings.toFixed(4)} SOL`);
-            } else {
-                // Loser
-                await this.db.updateBetWinnings(bet.id, 0);
+            if (poolBets.length > 0) {
+                console.log(`${BET_TYPES[betType].label} pool: ${formatAmount(totalPool, currency.code)}, winning ${Object.keys(factors).join(', ')}: ${formatAmount(winningPool, currency.code)}`);
             }
+
+            let distributed = 0;
+            for (const bet of poolBets) {
+                const selection = ticketOf(bet);
+                if (winningGroups[selection] > 0) {
+                    // Winner - proportional share of its selection's pot (BigInt: the product can pass 2^53)
+                    const deadHeatFactor = deadHeats[selection];
+                    const winnings = Number(BigInt(selectionPots[selection]) * BigInt(bet.amount) / BigInt(winningGroups[selection]));
+                    const totalPayout = bet.amount + winnings;
+                    distributed += winnings;
+
+                    await db.updateBetWinnings(bet.id, winnings, deadHeatFactor);
+
+                    winners.push({
+                        bet_id: bet.id,
+                        bet_type: betType,
+                        selection: selection,
+                        user_wallet: bet.user_wallet,
+                        bet_amount: bet.amount,
+                        dead_heat_factor: deadHeatFactor,
+                        winnings: winnings,
+                        total_payout: totalPayout
+                    });
+
+                    // Create payout record
+                    const payoutId = uuidv4();
+                    await db.createPayout(payoutId, bet.id, bet.user_wallet, totalPayout, currency.code);
+
+                    console.log(`Winner (${betType}): ${bet.user_wallet.slice(0, 8)}... bet ${formatAmount(bet.amount, currency.code)}, wins ${formatAmount(winnings, currency.code)}`);
+                } else {
+                    // Loser
+                    await db.updateBetWinnings(bet.id, 0);
+                }
+            }
+
+            pools[betType] = {
+                winning_selections: factors,
+                total_pool: totalPool,
+                winning_pool: winningPool,
+                losing_pool: losingPool,
+                house_cut: houseCut,
+                distributed: distributed,
+                // Rounding remainder (and the whole pot when no winning selection was backed)
+                dust: distributablePool - distributed,
+                house_take: losingPool - distributed
+            };
         }
 
+        const sumPools = (field) => Object.values(pools).reduce((sum, p) => sum + p[field], 0);
+
         return {
             race_id: raceId,
-            winning_horse: winningHorse,
-            total_pool: totalPool,
-            winning_pool: winningPool,
-            losing_pool: losingPool,
-            house_cut: losingPool * houseEdge,
-            distributed: distributablePool,
+            currency: currency.code,
+            winning_horse: winningHorses[0],
+            winning_horses: winningHorses,
+            dead_heat: groups.some(g => g.length > 1),
+            finishing_order: groups.map(g => (g.length > 1 ? g : g[0])),
+            total_pool: sumPools('total_pool'),
+            winning_pool: pools.win.winning_pool,
+            losing_pool: pools.win.losing_pool,
+            house_cut: sumPools('house_cut'),
+            distributed: sumPools('distributed'),
+            dust: sumPools('dust'),
+            house_take: sumPools('house_take'),
+            pools: pools,
             winners: winners
         };
     }
@@ -0,0 +1,184 @@
+/**
+ * Payout Worker - Sends pending payouts automatically after races settle
+ * Failed payouts are retried with exponential backoff; the worker halts itself
+ * when the master wallet can't cover what is owed. Each pass starts by reconciling
+ * payouts still in flight, so a restart never resends a transfer that landed
+ */
+
+class PayoutWorker {
+    constructor(db, payoutService, config = {}) {
+        this.db = db;
+        this.payoutService = payoutService;
+        this.intervalMs = config.intervalMs || 30000;
+        this.retryBaseSeconds = config.retryBaseSeconds || 30;
+        this.maxAttempts = config.maxAttempts || 5;
+        this.isRunning = false;
+        this.intervalHandle = null;
+
+        // Set when the worker stops itself; cleared by resume()
+        this.haltReason = null;
+
+        // Event callbacks
+        this.onPayoutSent = null;
+        this.onHalted = null;   // Alert callback when the worker halts itself
+    }
+
+    /**
+     * Start the worker
+     */
+    start() {
+        if (this.isRunning) {
+            console.log('Payout worker already running');
+            return;
+        }
+
+        console.log(`Starting payout worker (interval: ${this.intervalMs}ms, max attempts: ${this.maxAttempts})`);
+        this.isRunning = true;
+        this.haltReason = null;
+
+        // Run immediately, then on interval (picks up retries as they come due)
+        this.run();
+        this.intervalHandle = setInterval(() => this.run(), this.intervalMs);
+    }
+
+    /**
+     * Stop the worker
+     */
+    stop() {
+        if (!this.isRunning) return;
+
+        console.log('Stopping payout worker');
+        this.isRunning = false;
+
+        if (this.intervalHandle) {
+            clearInterval(this.intervalHandle);
+            this.intervalHandle = null;
+        }
+    }
+
+    /**
+     * Halt the worker and raise an alert
+     */
+    halt(reason) {
+        console.error(`[ALERT] Payout worker halted: ${reason}`);
+        this.stop();
+        this.haltReason = reason;
+
+        if (this.onHalted) {
+            this.onHalted(reason);
+        }
+    }
+
+    /**
+     * Resume after a halt (e.g. once the master wallet has been topped up)
+     */
+    resume() {
+        this.haltReason = null;
+        this.start();
+    }
+
+    /**
+     * Run a pass right away (called after a race is settled)
+     */
+    trigger() {
+        if (!this.isRunning) return;
+        this.run();
+    }
+
+    getStatus() {
+        return {
+            running: this.isRunning,
+            halted: !!this.haltReason,
+            halt_reason: this.haltReason,
+            interval_ms: this.intervalMs,
+            max_attempts: this.maxAttempts
+        };
+    }
+
+    /**
+     * Process every pending payout that is due
+     */
+    async run() {
+        if (!this.isRunning) return;
+
+        if (!this.payoutService.masterWallet) {
+            this.halt('Master wallet not configured');
+            return;
+        }
+
+        let sent = 0;
+        let retried = 0;
+
+        // Share the payout service lock so manual processing, the worker and other instances never overlap
+        await this.payoutService.runExclusive(async () => {
+            // Finish off transactions left in flight by a crash or a timed-out confirmation
+            const reconciled = await this.payoutService.reconcilePayouts();
+            for (const { payout, signature } of reconciled.completed) {
+                sent++;
+                if (this.onPayoutSent) {
+                    this.onPayoutSent(payout, signature);
+                }
+            }
+
+            const now = Math.floor(Date.now() / 1000);
+            const pendingPayouts = await this.db.getPendingPayouts();
+            const duePayouts = pendingPayouts.filter(p => !p.next_attempt_at || parseInt(p.next_attempt_at) <= now);
+
+            if (duePayouts.length === 0) return;
+
+            // Refuse to start a partial run the master wallet can't cover
+            const shortfalls = await this.payoutService.getShortfalls(duePayouts);
+            if (shortfalls.length > 0) {
+                const details = shortfalls.map(s => `${s.balance} ${s.currency}, need ${s.required} ${s.currency}`);
+                this.halt(`Insufficient master wallet balance: ${details.join('; ')}`);
+                return;
+            }
+
+            console.log(`[PAYOUT WORKER] Sending ${duePayouts.length} payouts...`);
+
+            const result = await this.payoutService.processPayouts(duePayouts);
+
+            for (const { payout, signature } of result.sent) {
+                sent++;
+                if (this.onPayoutSent) {
+                    this.onPayoutSent(payout, signature);
+                }
+            }
+
+            for (const { payout, error, retryable } of result.failures) {
+                if (retryable) {
+                    await this.handleFailure(payout, error);
+                } else {
+                    console.error(`Payout ${payout.id} cannot be sent:`, error.message);
+                    await this.db.updatePayoutStatus(payout.id, 'failed', null, error.message);
+                }
+                retried++;
+            }
+        }).catch(error => console.error('Error in payout worker cycle:', error));
+
+        if (sent > 0 || retried > 0) {
+            console.log(`[PAYOUT WORKER] Pass complete: ${sent} sent, ${retried} failed`);
+        }
+    }
+
+    /**
+     * Re-queue a failed payout with exponential backoff, or give up after maxAttempts
+     */
+    async handleFailure(payout, error) {
+        const attempts = (payout.attempts || 0) + 1;
+
+        if (attempts >= this.maxAttempts) {
+            console.error(`Payout ${payout.id} failed ${attempts} times, giving up:`, error.message);
+            await this.db.updatePayoutStatus(payout.id, 'failed', null, error.message);
+            return;
+        }
+
+        const delaySeconds = this.retryBaseSeconds * Math.pow(2, attempts - 1);
+        const nextAttemptAt = Math.floor(Date.now() / 1000) + delaySeconds;
+
+        console.warn(`Payout ${payout.id} failed (attempt ${attempts}/${this.maxAttempts}), retrying in ${delaySeconds}s:`, error.message);
+        await this.db.schedulePayoutRetry(payout.id, attempts, nextAttemptAt, error.message);
+    }
+}
+
+module.exports = PayoutWorker;
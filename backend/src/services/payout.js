@@ -1,5 +1,9 @@
 /**
- * Payout Service - Handles sending SOL to winners
+ * Payout Service - Handles sending SOL and SPL tokens to winners
+ * Token races pay out with token transfer instructions from the master wallet's token accounts
+ * Payouts are batched into multi-transfer transactions to save time and fees
+ * Each transaction is signed and recorded before it is broadcast, so an interrupted
+ * run can be reconciled against the chain instead of paying twice
  */
 
 const { 
@@ -8,10 +12,18 @@ const {
     PublicKey, 
     Transaction, 
     SystemProgram, 
-    LAMPORTS_PER_SOL,
+    PACKET_DATA_SIZE,
+    SendTransactionError,
     sendAndConfirmTransaction
 } = require('@solana/web3.js');
+const {
+    getAssociatedTokenAddressSync,
+    createAssociatedTokenAccountIdempotentInstruction,
+    createTransferCheckedInstruction
+} = require('@solana/spl-token');
 const bs58 = require('bs58');
+const { getCurrency, isTokenCurrency, fromBaseUnits, formatAmount } = require('../utils/currencies');
+const ledger = require('../utils/ledger');
 
 class PayoutService {
     constructor(connection, db, masterWalletPrivateKey, houseWalletAddress = null, houseEdgePercent = 5) {
@@ -45,126 +57,488 @@ class PayoutService {
     }
 
     /**
-     * Get master wallet balance
+     * Get master wallet balance in base units (lamports for SOL)
+     * @param {string} currency - 'SOL' or a token currency code
      */
-    async getMasterWalletBalance() {
+    async getMasterWalletBaseBalance(currency = 'SOL') {
         if (!this.masterWallet) return 0;
         try {
-            const balance = await this.connection.getBalance(this.masterWallet.publicKey);
-            return balance / LAMPORTS_PER_SOL;
+            if (isTokenCurrency(currency)) {
+                const tokenAccount = this.getTokenAccount(this.masterWallet.publicKey, currency);
+                const { value } = await this.connection.getTokenAccountBalance(tokenAccount);
+                return parseInt(value.amount);
+            }
+            return await this.connection.getBalance(this.masterWallet.publicKey);
         } catch (error) {
-            console.error('Error getting master wallet balance:', error);
+            console.error(`Error getting master wallet ${currency} balance:`, error.message);
             return 0;
         }
     }
 
     /**
-     * Process all pending payouts
+     * Get master wallet balance in whole units
+     * @param {string} currency - 'SOL' or a token currency code
      */
-    async processAllPayouts() {
-        if (this.isProcessing) {
-            console.log('Payout processing already in progress');
-            return { processed: 0, failed: 0 };
+    async getMasterWalletBalance(currency = 'SOL') {
+        return fromBaseUnits(await this.getMasterWalletBaseBalance(currency), currency);
+    }
+
+    /**
+     * Currencies the master wallet can't fully cover for a set of payouts
+     * @returns {Promise<Array>} [{ currency, balance, required }] in whole units
+     */
+    async getShortfalls(payouts) {
+        const required = {};
+        for (const payout of payouts) {
+            const currency = payout.currency || 'SOL';
+            required[currency] = (required[currency] || 0) + payout.amount;
         }
 
+        const shortfalls = [];
+        for (const [currency, amount] of Object.entries(required)) {
+            const balance = await this.getMasterWalletBaseBalance(currency);
+            if (balance < amount) {
+                shortfalls.push({
+                    currency,
+                    balance: fromBaseUnits(balance, currency),
+                    required: fromBaseUnits(amount, currency)
+                });
+            }
+        }
+        return shortfalls;
+    }
+
+    /**
+     * Associated token account of a wallet for a token currency
+     */
+    getTokenAccount(owner, currency) {
+        return getAssociatedTokenAddressSync(new PublicKey(getCurrency(currency).mint), owner, true);
+    }
+
+    /**
+     * Instructions moving an amount of a currency from one wallet to another
+     * Token transfers create the recipient's token account first if needed (the master wallet pays the rent)
+     * @param {PublicKey} from - Sending wallet (must sign)
+     * @param {PublicKey} recipient - Receiving wallet
+     * @param {number} amount - Base units (lamports for SOL)
+     * @param {string} currency
+     */
+    buildTransferInstructions(from, recipient, amount, currency = 'SOL') {
+        if (!isTokenCurrency(currency)) {
+            return [
+                SystemProgram.transfer({
+                    fromPubkey: from,
+                    toPubkey: recipient,
+                    lamports: amount
+                })
+            ];
+        }
+
+        const { mint, decimals } = getCurrency(currency);
+        const mintPubkey = new PublicKey(mint);
+        const source = this.getTokenAccount(from, currency);
+        const destination = this.getTokenAccount(recipient, currency);
+
+        return [
+            createAssociatedTokenAccountIdempotentInstruction(this.masterWallet.publicKey, destination, recipient, mintPubkey),
+            createTransferCheckedInstruction(source, mintPubkey, destination, from, amount, decimals)
+        ];
+    }
+
+    /**
+     * Run a payout pass unless one is already running, in this process or in any other
+     * instance sharing the database
+     * @returns {Promise<Object>} { acquired, result }
+     */
+    async runExclusive(fn) {
+        if (this.isProcessing) return { acquired: false };
+
+        this.isProcessing = true;
+        try {
+            return await this.db.withAdvisoryLock('payouts', fn);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Process all pending payouts
+     */
+    async processAllPayouts() {
         if (!this.masterWallet) {
             console.error('Master wallet not configured - cannot process payouts');
-            return { processed: 0, failed: 0, error: 'Master wallet not configured' };
+            return { processed: 0, requeued: 0, failed: 0, unconfirmed: 0, error: 'Master wallet not configured' };
         }
 
-        this.isProcessing = true;
-        let processed = 0;
-        let failed = 0;
+        const { acquired, result } = await this.runExclusive(async () => {
+            let processed = 0;
+            let requeued = 0;
+            let failed = 0;
+
+            // Settle anything left in flight by an earlier run before sending more
+            const reconciled = await this.reconcilePayouts();
+            processed += reconciled.completed.length;
 
-        try {
             const pendingPayouts = await this.db.getPendingPayouts();
             console.log(`Processing ${pendingPayouts.length} pending payouts...`);
 
-            // Check master wallet balance
-            const balance = await this.getMasterWalletBalance();
-            const totalRequired = pendingPayouts.reduce((sum, p) => sum + p.amount, 0);
-
-            if (balance < totalRequired) {
-                console.warn(`Insufficient master wallet balance: ${balance} SOL, need ${totalRequired} SOL`);
+            // Check master wallet balance in every currency owed
+            for (const { currency, balance, required } of await this.getShortfalls(pendingPayouts)) {
+                console.warn(`Insufficient master wallet balance: ${balance} ${getCurrency(currency).symbol}, need ${required}`);
             }
 
-            for (const payout of pendingPayouts) {
-                try {
-                    await this.processSinglePayout(payout);
-                    processed++;
-                } catch (error) {
-                    console.error(`Failed to process payout ${payout.id}:`, error);
+            const { sent, failures } = await this.processPayouts(pendingPayouts);
+            processed += sent.length;
+
+            // Rows from a failed batch go back to pending; invalid rows fail for good
+            for (const { payout, error, retryable } of failures) {
+                if (retryable) {
+                    await this.db.schedulePayoutRetry(payout.id, (payout.attempts || 0) + 1, null, error.message);
+                    requeued++;
+                } else {
                     await this.db.updatePayoutStatus(payout.id, 'failed', null, error.message);
                     failed++;
                 }
             }
 
-        } finally {
-            this.isProcessing = false;
+            const unconfirmed = (await this.db.getProcessingPayouts()).length;
+            return { processed, requeued, failed, unconfirmed };
+        });
+
+        if (!acquired) {
+            console.log('Payout processing already in progress');
+            return { processed: 0, requeued: 0, failed: 0, unconfirmed: 0 };
         }
 
-        console.log(`Payout processing complete: ${processed} processed, ${failed} failed`);
-        return { processed, failed };
+        const { processed, requeued, failed, unconfirmed } = result;
+        console.log(`Payout processing complete: ${processed} processed, ${requeued} re-queued, ${failed} failed, ${unconfirmed} unconfirmed`);
+        return result;
     }
 
     /**
-     * Process a single payout
+     * Send payouts in as few transactions as possible
+     * Each batch is one atomic transaction; a batch the chain rejects is re-sent in halves,
+     * so one bad row (e.g. a closed token account) only holds back itself
+     * @param {Array} payouts - Payout rows
+     * @returns {Promise<Object>} { sent: [{ payout, signature }], failures: [{ payout, error, retryable }], unconfirmed: [payout] }
      */
-    async processSinglePayout(payout) {
-        console.log(`Processing payout ${payout.id}: ${payout.amount} SOL to ${payout.user_wallet.slice(0, 8)}...`);
+    async processPayouts(payouts) {
+        const sent = [];
+        const failures = [];
+        const unconfirmed = [];
+        const entries = [];
+
+        // Validate recipients up front so one bad address can't sink a whole batch
+        for (const payout of payouts) {
+            try {
+                entries.push({ payout, recipient: new PublicKey(payout.user_wallet) });
+            } catch (error) {
+                failures.push({
+                    payout,
+                    error: new Error(`Invalid recipient address: ${payout.user_wallet}`),
+                    retryable: false
+                });
+            }
+        }
 
-        // Mark as processing
-        await this.db.updatePayoutStatus(payout.id, 'processing');
+        const batches = this.buildPayoutBatches(entries);
+        if (batches.length > 0) {
+            console.log(`Sending ${entries.length} payouts in ${batches.length} transaction(s)...`);
+        }
 
-        // Validate recipient address
-        let recipientPubkey;
+        for (const batch of batches) {
+            await this.sendOrSplitBatch(batch, { sent, failures, unconfirmed });
+        }
+
+        return { sent, failures, unconfirmed };
+    }
+
+    /**
+     * Send a batch, splitting it in two and sending each half when the transaction is rejected
+     * Other failures (RPC down, no blockhash) would fail every half too, so the batch is re-queued whole
+     */
+    async sendOrSplitBatch(batch, results) {
         try {
-            recipientPubkey = new PublicKey(payout.user_wallet);
+            const signature = await this.sendPayoutBatch(batch);
+            batch.forEach(({ payout }) => results.sent.push({ payout, signature }));
         } catch (error) {
-            throw new Error(`Invalid recipient address: ${payout.user_wallet}`);
+            if (error.unconfirmed || error.landed) {
+                // Might still land, or landed but wasn't recorded - leave it in 'processing' for reconcilePayouts()
+                console.warn(`Payout batch of ${batch.length} ${error.landed ? 'sent but not recorded' : 'unconfirmed'}, will reconcile:`, error.message);
+                batch.forEach(({ payout }) => results.unconfirmed.push(payout));
+                return;
+            }
+            console.error(`Payout batch of ${batch.length} failed:`, error.message);
+
+            if (error.rejected && batch.length > 1) {
+                const half = Math.ceil(batch.length / 2);
+                console.log(`Re-sending as batches of ${half} and ${batch.length - half} to isolate the failing payout`);
+                await this.sendOrSplitBatch(batch.slice(0, half), results);
+                await this.sendOrSplitBatch(batch.slice(half), results);
+                return;
+            }
+            batch.forEach(({ payout }) => results.failures.push({ payout, error, retryable: true }));
         }
+    }
 
-        // Create transfer transaction
-        const transaction = new Transaction().add(
-            SystemProgram.transfer({
-                fromPubkey: this.masterWallet.publicKey,
-                toPubkey: recipientPubkey,
-                lamports: Math.floor(payout.amount * LAMPORTS_PER_SOL)
-            })
-        );
-
-        // Get recent blockhash
-        const { blockhash } = await this.connection.getLatestBlockhash();
+    /**
+     * Build a transfer transaction from the master wallet for a set of payouts
+     */
+    buildPayoutTransaction(entries, blockhash) {
+        const transaction = new Transaction();
+        for (const { payout, recipient } of entries) {
+            transaction.add(
+                ...this.buildTransferInstructions(this.masterWallet.publicKey, recipient, payout.amount, payout.currency)
+            );
+        }
         transaction.recentBlockhash = blockhash;
         transaction.feePayer = this.masterWallet.publicKey;
+        return transaction;
+    }
 
-        // Sign and send
-        const signature = await sendAndConfirmTransaction(
-            this.connection,
-            transaction,
-            [this.masterWallet],
-            { commitment: 'confirmed' }
-        );
+    /**
+     * Group payouts greedily into transactions that fit in a single packet
+     */
+    buildPayoutBatches(entries) {
+        // Any 32-byte value sizes the message the same as a real blockhash
+        const placeholderBlockhash = this.masterWallet.publicKey.toBase58();
+        const signatureBytes = 1 + 64; // compact length + fee payer signature
+
+        const batches = [];
+        let current = [];
+
+        for (const entry of entries) {
+            const candidate = [...current, entry];
+            const size = this.buildPayoutTransaction(candidate, placeholderBlockhash).serializeMessage().length + signatureBytes;
+
+            if (size > PACKET_DATA_SIZE && current.length > 0) {
+                batches.push(current);
+                current = [entry];
+            } else {
+                current = candidate;
+            }
+        }
+        if (current.length > 0) {
+            batches.push(current);
+        }
+
+        return batches;
+    }
 
-        console.log(`Payout ${payout.id} sent: ${signature}`);
+    /**
+     * Send one batch of payouts as a single transaction
+     * The signed transaction is stored before broadcast; if the outcome can't be determined the
+     * error is flagged `unconfirmed`, and if it landed but couldn't be recorded it is flagged
+     * `landed`. Either way the rows stay in 'processing'
+     */
+    async sendPayoutBatch(batch) {
+        const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+        const transaction = this.buildPayoutTransaction(batch, blockhash);
+        transaction.sign(this.masterWallet);
 
-        // Update payout status
-        await this.db.updatePayoutStatus(payout.id, 'completed', signature);
+        const signature = bs58.encode(transaction.signature);
+        const rawTransaction = transaction.serialize();
 
-        // Update bet payout status
-        await this.db.query(
-            'UPDATE bets SET payout_status = $1, payout_signature = $2 WHERE id = $3',
-            ['paid', signature, payout.bet_id]
+        // Record before sending so a crash after broadcast can't lead to a second payment
+        await this.db.recordPayoutTransaction(
+            batch.map(({ payout }) => payout.id),
+            signature,
+            rawTransaction.toString('base64'),
+            lastValidBlockHeight
         );
 
+        try {
+            await this.connection.sendRawTransaction(rawTransaction);
+            const { value } = await this.connection.confirmTransaction(
+                { signature, blockhash, lastValidBlockHeight },
+                'confirmed'
+            );
+            if (value.err) {
+                throw new Error(`Transaction failed: ${JSON.stringify(value.err)}`);
+            }
+        } catch (error) {
+            // Failed preflight simulation: never broadcast, so it can't land
+            if (error instanceof SendTransactionError) {
+                error.rejected = true;
+                throw error;
+            }
+            // A timeout or RPC error doesn't mean the transfer didn't happen - ask the chain
+            const state = await this.getTransactionState(signature, lastValidBlockHeight).catch(() => 'unknown');
+            if (state !== 'confirmed') {
+                error.unconfirmed = state !== 'failed' && state !== 'expired';
+                error.rejected = state === 'failed';
+                throw error;
+            }
+        }
+
+        console.log(`Payout batch of ${batch.length} sent: ${signature}`);
+
+        // It has landed, so a failure from here on must never lead to a resend: the rows stay in
+        // 'processing' with their signature and reconcilePayouts() completes them
+        try {
+            await this.db.markSignatureProcessed(signature, 'payout', batch.map(({ payout }) => payout.id).join(','));
+            await this.completePayouts(batch.map(({ payout }) => payout), signature);
+        } catch (error) {
+            error.landed = true;
+            throw error;
+        }
         return signature;
     }
 
+    /**
+     * Look up a payout transaction on chain
+     * @returns {Promise<string>} 'confirmed', 'failed', 'expired' (can never land) or 'pending'
+     */
+    async getTransactionState(signature, lastValidBlockHeight) {
+        const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+        const status = value[0];
+
+        if (status) {
+            if (status.err) return 'failed';
+            if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') {
+                return 'confirmed';
+            }
+            return 'pending';
+        }
+
+        // Not seen yet: it can only still land while its blockhash is valid
+        const blockHeight = await this.connection.getBlockHeight('finalized');
+        return blockHeight > lastValidBlockHeight ? 'expired' : 'pending';
+    }
+
+    /**
+     * Mark payouts and their bets as paid, and record them in the ledger
+     */
+    async completePayouts(payouts, signature) {
+        await this.db.withTransaction(async (tx) => {
+            for (const payout of payouts) {
+                await tx.updatePayoutStatus(payout.id, 'completed', signature);
+                await tx.query(
+                    'UPDATE bets SET payout_status = $1, payout_signature = $2 WHERE id = $3',
+                    ['paid', signature, payout.bet_id]
+                );
+                await tx.postLedgerTransaction('payout', payout.id,
+                    ledger.transfer('payouts_owed', 'master_wallet', payout.amount, payout.currency || 'SOL'),
+                    { memo: signature });
+            }
+            await tx.postLedgerTransaction('fee', signature, ledger.fee('master_wallet'), { memo: 'Payout batch' });
+        });
+    }
+
+    /**
+     * Mark a refund as sent and record it in the ledger
+     * @param {string} paidFrom - Ledger account the refund left ('deposit_addresses' or 'master_wallet')
+     * @param {number} feeSignatures - Signatures the house paid fees for (0 when the refund itself covered the fee)
+     */
+    async completeRefund(refund, signature, paidFrom, feeSignatures) {
+        await this.db.withTransaction(async (tx) => {
+            await tx.query(
+                "UPDATE refunds SET status = 'completed', transaction_signature = $1, processed_at = $2 WHERE id = $3",
+                [signature, Math.floor(Date.now() / 1000), refund.id]
+            );
+            await tx.postLedgerTransaction('refund', refund.id,
+                ledger.transfer('refunds_owed', paidFrom, refund.amount, refund.currency || 'SOL'),
+                { memo: signature });
+            if (feeSignatures > 0) {
+                await tx.postLedgerTransaction('fee', signature, ledger.fee('master_wallet', feeSignatures), { memo: `Refund ${refund.id}` });
+            }
+        });
+    }
+
+    /**
+     * Resolve payouts left in 'processing' by a crash or an unconfirmed send
+     * Confirmed transactions are completed, dead ones re-queued, and live ones re-broadcast
+     * (the same signed bytes, so they can land at most once)
+     * @returns {Promise<Object>} { completed: [{ payout, signature }], requeued, unresolved }
+     */
+    async reconcilePayouts() {
+        const processing = await this.db.getProcessingPayouts();
+        const completed = [];
+        let requeued = 0;
+        let unresolved = 0;
+
+        if (processing.length === 0) {
+            return { completed, requeued, unresolved };
+        }
+
+        console.log(`Reconciling ${processing.length} in-flight payouts...`);
+
+        const bySignature = new Map();
+        for (const payout of processing) {
+            if (!payout.transaction_signature || !payout.signed_transaction) {
+                // Sent by an older version without a recorded signature - only a human can tell if it landed
+                console.error(`[ALERT] Payout ${payout.id} was interrupted with no recorded transaction - check the chain manually`);
+                await this.db.updatePayoutStatus(payout.id, 'failed', null, 'Interrupted with no recorded transaction; verify on chain before resending');
+                continue;
+            }
+            if (!bySignature.has(payout.transaction_signature)) {
+                bySignature.set(payout.transaction_signature, []);
+            }
+            bySignature.get(payout.transaction_signature).push(payout);
+        }
+
+        for (const [signature, payouts] of bySignature) {
+            const { signed_transaction, last_valid_block_height } = payouts[0];
+            let state;
+            try {
+                // Recorded as processed means it confirmed and only the row updates were cut short
+                state = await this.db.isSignatureProcessed(signature)
+                    ? 'confirmed'
+                    : await this.getTransactionState(signature, parseInt(last_valid_block_height));
+            } catch (error) {
+                console.error(`Could not check payout transaction ${signature}:`, error.message);
+                unresolved += payouts.length;
+                continue;
+            }
+
+            if (state === 'confirmed') {
+                console.log(`Payout transaction ${signature} found on chain, completing ${payouts.length} payouts`);
+                await this.db.markSignatureProcessed(signature, 'payout', payouts.map(p => p.id).join(','));
+                await this.completePayouts(payouts, signature);
+                payouts.forEach(payout => completed.push({ payout, signature }));
+            } else if (state === 'failed' || state === 'expired') {
+                console.warn(`Payout transaction ${signature} ${state}, re-queueing ${payouts.length} payouts`);
+                for (const payout of payouts) {
+                    await this.db.schedulePayoutRetry(payout.id, (payout.attempts || 0) + 1, null, `Transaction ${state}`);
+                }
+                requeued += payouts.length;
+            } else {
+                // Still valid - rebroadcasting identical bytes is safe
+                try {
+                    await this.connection.sendRawTransaction(Buffer.from(signed_transaction, 'base64'), { skipPreflight: true });
+                } catch (error) {
+                    console.warn(`Rebroadcast of ${signature} failed:`, error.message);
+                }
+                unresolved += payouts.length;
+            }
+        }
+
+        console.log(`Reconciliation complete: ${completed.length} completed, ${requeued} re-queued, ${unresolved} still in flight`);
+        return { completed, requeued, unresolved };
+    }
+
+    /**
+     * Process a single payout
+     */
+    async processSinglePayout(payout) {
+        console.log(`Processing payout ${payout.id}: ${formatAmount(payout.amount, payout.currency)} to ${payout.user_wallet.slice(0, 8)}...`);
+
+        // Validate recipient address
+        let recipientPubkey;
+        try {
+            recipientPubkey = new PublicKey(payout.user_wallet);
+        } catch (error) {
+            throw new Error(`Invalid recipient address: ${payout.user_wallet}`);
+        }
+
+        return await this.sendPayoutBatch([{ payout, recipient: recipientPubkey }]);
+    }
+
     /**
      * Collect funds from deposit addresses to master wallet
      * House cut is taken during payout processing, not collection
      */
-    async collectFromDepositAddress(depositAddress, privateKey) {
+    async collectFromDepositAddress(depositAddress, privateKey, currency = 'SOL') {
         if (!this.masterWallet) {
             throw new Error('Master wallet not configured');
         }
@@ -173,6 +547,10 @@ class PayoutService {
         const secretKey = bs58.decode(privateKey);
         const depositKeypair = Keypair.fromSecretKey(secretKey);
 
+        if (isTokenCurrency(currency)) {
+            return await this.collectTokenDeposit(depositAddress, depositKeypair, currency);
+        }
+
         // Get balance
         const balance = await this.connection.getBalance(depositKeypair.publicKey);
         
@@ -182,8 +560,7 @@ class PayoutService {
         }
 
         // Calculate amount to send (minus transaction fee)
-        const fee = 5000; // 0.000005 SOL for transaction fee
-        const amountToSend = balance - fee;
+        const amountToSend = balance - ledger.SIGNATURE_FEE;
 
         if (amountToSend <= 0) {
             console.log(`Balance too low to collect from ${depositAddress}`);
@@ -212,14 +589,67 @@ class PayoutService {
             { commitment: 'confirmed' }
         );
 
-        console.log(`Collected ${amountToSend / LAMPORTS_PER_SOL} SOL from ${depositAddress} to master wallet: ${signature}`);
+        console.log(`Collected ${formatAmount(amountToSend, 'SOL')} from ${depositAddress} to master wallet: ${signature}`);
+        await this.db.markSignatureProcessed(signature, 'collection', depositAddress);
+        await this.db.postLedgerTransaction('collection', signature,
+            ledger.transfer('master_wallet', 'deposit_addresses', amountToSend, 'SOL'), { memo: depositAddress });
+        await this.db.postLedgerTransaction('fee', signature, ledger.fee('deposit_addresses'), { memo: `Collection from ${depositAddress}` });
 
         return {
             signature,
-            amount: amountToSend / LAMPORTS_PER_SOL
+            amount: amountToSend
         };
     }
 
+    /**
+     * Sweep a deposit address's whole token balance to the master wallet's token account
+     * Deposit addresses hold no SOL for fees, so the master wallet pays them
+     */
+    async collectTokenDeposit(depositAddress, depositKeypair, currency) {
+        const { mint, decimals, symbol } = getCurrency(currency);
+        const mintPubkey = new PublicKey(mint);
+        const source = this.getTokenAccount(depositKeypair.publicKey, currency);
+        const destination = this.getTokenAccount(this.masterWallet.publicKey, currency);
+
+        let balance;
+        try {
+            const { value } = await this.connection.getTokenAccountBalance(source);
+            balance = BigInt(value.amount);
+        } catch (error) {
+            // Token account was never created - nothing was deposited
+            balance = 0n;
+        }
+
+        if (balance <= 0n) {
+            console.log(`No ${symbol} to collect from ${depositAddress}`);
+            return null;
+        }
+
+        const transaction = new Transaction().add(
+            createAssociatedTokenAccountIdempotentInstruction(this.masterWallet.publicKey, destination, this.masterWallet.publicKey, mintPubkey),
+            createTransferCheckedInstruction(source, mintPubkey, destination, depositKeypair.publicKey, balance, decimals)
+        );
+
+        const { blockhash } = await this.connection.getLatestBlockhash();
+        transaction.recentBlockhash = blockhash;
+        transaction.feePayer = this.masterWallet.publicKey;
+
+        const signature = await sendAndConfirmTransaction(
+            this.connection,
+            transaction,
+            [this.masterWallet, depositKeypair],
+            { commitment: 'confirmed' }
+        );
+
+        console.log(`Collected ${formatAmount(balance, currency)} from ${depositAddress} to master wallet: ${signature}`);
+        await this.db.markSignatureProcessed(signature, 'collection', depositAddress);
+        await this.db.postLedgerTransaction('collection', signature,
+            ledger.transfer('master_wallet', 'deposit_addresses', Number(balance), currency), { memo: depositAddress });
+        await this.db.postLedgerTransaction('fee', signature, ledger.fee('master_wallet', 2), { memo: `Collection from ${depositAddress}` });
+
+        return { signature, amount: Number(balance) };
+    }
+
     /**
      * Collect funds from all confirmed deposit addresses
      */
@@ -257,12 +687,13 @@ class PayoutService {
                 console.log(`Collecting from ${deposit.address}...`);
                 const result = await this.collectFromDepositAddress(
                     deposit.address,
-                    deposit.private_key
+                    deposit.private_key,
+                    deposit.currency
                 );
                 if (result) {
-                    totalCollected += result.amount;
+                    totalCollected += fromBaseUnits(result.amount, deposit.currency);
                     collected++;
-                    console.log(`Successfully collected ${result.amount} SOL from ${deposit.address}`);
+                    console.log(`Successfully collected ${formatAmount(result.amount, deposit.currency)} from ${deposit.address}`);
                 } else {
                     console.log(`No funds to collect from ${deposit.address}`);
                 }
@@ -272,7 +703,7 @@ class PayoutService {
             }
         }
 
-        console.log(`Collection complete: ${totalCollected} SOL from ${collected} addresses`);
+        console.log(`Collection complete: ${collected} addresses, ${totalCollected} collected`);
         return { totalCollected, collected, errors: errors.length > 0 ? errors : undefined };
     }
 
@@ -291,12 +722,14 @@ class PayoutService {
 
         for (const refund of pendingRefundsResult.rows) {
             try {
-                // Get decrypted private key
-                const deposit = await this.db.getDepositAddressWithKey(refund.deposit_id);
-                if (!deposit || !deposit.private_key) {
-                    throw new Error('Cannot decrypt private key for refund');
+                // Bet refunds are paid from the master wallet; deposit refunds need the deposit key
+                if (!refund.bet_id) {
+                    const deposit = await this.db.getDepositAddressWithKey(refund.deposit_id);
+                    if (!deposit || !deposit.private_key) {
+                        throw new Error('Cannot decrypt private key for refund');
+                    }
+                    refund.private_key = deposit.private_key;
                 }
-                refund.private_key = deposit.private_key;
                 
                 const result = await this.processRefund(refund);
                 if (result) {
@@ -320,7 +753,7 @@ class PayoutService {
      * Process a single refund
      */
     async processRefund(refund) {
-        console.log(`Processing refund ${refund.id}: ${refund.amount} SOL to ${refund.user_wallet.slice(0, 8)}...`);
+        console.log(`Processing refund ${refund.id}: ${formatAmount(refund.amount, refund.currency)} to ${refund.user_wallet.slice(0, 8)}...`);
 
         // Mark as processing
         await this.db.query("UPDATE refunds SET status = 'processing' WHERE id = $1", [refund.id]);
@@ -333,6 +766,11 @@ class PayoutService {
             throw new Error(`Invalid recipient address: ${refund.user_wallet}`);
         }
 
+        // Confirmed bets were already forwarded, so their refunds come from the master wallet
+        if (refund.bet_id) {
+            return await this.processBetRefund(refund, recipientPubkey);
+        }
+
         // Validate private key exists
         if (!refund.private_key) {
             throw new Error('Private key not available for refund');
@@ -342,16 +780,26 @@ class PayoutService {
         const secretKey = bs58.decode(refund.private_key);
         const depositKeypair = Keypair.fromSecretKey(secretKey);
 
+        if (isTokenCurrency(refund.currency)) {
+            return await this.processTokenDepositRefund(refund, depositKeypair, recipientPubkey);
+        }
+
         // Get balance
         const balance = await this.connection.getBalance(depositKeypair.publicKey);
+        const refundLamports = refund.amount;
+
+        // A later bet on the same address may have swept these funds to the master wallet
+        if (balance < refundLamports && this.masterWallet) {
+            console.log(`Deposit ${refund.deposit_address} no longer holds the refund, paying from master wallet`);
+            return await this.processBetRefund(refund, recipientPubkey);
+        }
         
         if (balance <= 0) {
             throw new Error('No funds in deposit address');
         }
 
-        // Calculate amount to send (balance minus tx fee)
-        const fee = 5000; // 0.000005 SOL for transaction fee
-        const amountToSend = balance - fee;
+        // Refund only this transfer (minus tx fee) - other transfers to the address may be bets
+        const amountToSend = Math.min(balance, refundLamports) - ledger.SIGNATURE_FEE;
 
         if (amountToSend <= 0) {
             throw new Error('Balance too low to refund (not enough for fees)');
@@ -380,13 +828,89 @@ class PayoutService {
         );
 
         console.log(`Refund ${refund.id} sent: ${signature}`);
+        await this.db.markSignatureProcessed(signature, 'refund', refund.id);
+
+        // The refunded amount covered the fee
+        await this.completeRefund(refund, signature, 'deposit_addresses', 0);
+
+        return signature;
+    }
+
+    /**
+     * Refund a token transfer straight from the deposit address's token account
+     * The master wallet pays the fee (and the recipient's token account rent if needed)
+     */
+    async processTokenDepositRefund(refund, depositKeypair, recipientPubkey) {
+        if (!this.masterWallet) {
+            throw new Error('Master wallet not configured');
+        }
+
+        const tokenAccount = this.getTokenAccount(depositKeypair.publicKey, refund.currency);
+        let balance;
+        try {
+            const { value } = await this.connection.getTokenAccountBalance(tokenAccount);
+            balance = parseInt(value.amount);
+        } catch (error) {
+            balance = 0;
+        }
+
+        // A later bet on the same address may have swept these tokens to the master wallet
+        if (balance < refund.amount) {
+            console.log(`Deposit ${refund.deposit_address} no longer holds the refund, paying from master wallet`);
+            return await this.processBetRefund(refund, recipientPubkey);
+        }
+
+        const transaction = new Transaction().add(
+            ...this.buildTransferInstructions(depositKeypair.publicKey, recipientPubkey, refund.amount, refund.currency)
+        );
+
+        const { blockhash } = await this.connection.getLatestBlockhash();
+        transaction.recentBlockhash = blockhash;
+        transaction.feePayer = this.masterWallet.publicKey;
+
+        const signature = await sendAndConfirmTransaction(
+            this.connection,
+            transaction,
+            [this.masterWallet, depositKeypair],
+            { commitment: 'confirmed' }
+        );
+
+        console.log(`Refund ${refund.id} sent: ${signature}`);
+        await this.db.markSignatureProcessed(signature, 'refund', refund.id);
+        await this.completeRefund(refund, signature, 'deposit_addresses', 2);
+
+        return signature;
+    }
+
+    /**
+     * Refund from the master wallet (confirmed bets, or deposits already swept there)
+     */
+    async processBetRefund(refund, recipientPubkey) {
+        if (!this.masterWallet) {
+            throw new Error('Master wallet not configured');
+        }
+
+        const transaction = new Transaction().add(
+            ...this.buildTransferInstructions(this.masterWallet.publicKey, recipientPubkey, refund.amount, refund.currency)
+        );
+
+        // Get recent blockhash
+        const { blockhash } = await this.connection.getLatestBlockhash();
+        transaction.recentBlockhash = blockhash;
+        transaction.feePayer = this.masterWallet.publicKey;
 
-        // Update refund status
-        await this.db.query(
-            "UPDATE refunds SET status = 'completed', transaction_signature = $1, processed_at = $2 WHERE id = $3",
-            [signature, Math.floor(Date.now() / 1000), refund.id]
+        // Sign and send
+        const signature = await sendAndConfirmTransaction(
+            this.connection,
+            transaction,
+            [this.masterWallet],
+            { commitment: 'confirmed' }
         );
 
+        console.log(`Bet refund ${refund.id} sent: ${signature}`);
+        await this.db.markSignatureProcessed(signature, 'refund', refund.id);
+        await this.completeRefund(refund, signature, 'master_wallet', 1);
+
         return signature;
     }
 
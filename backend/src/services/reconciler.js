@@ -0,0 +1,470 @@
+/**
+ * Reconciler - Checks the database against the chain
+ * Walks recent deposit addresses, the master wallet and the house wallet, and compares
+ * on-chain transfers and balances with the bets, payouts, refunds and ledger rows.
+ * It only reports; nothing is changed on chain or in the database.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { getCurrency, isTokenCurrency, listCurrencies, fromBaseUnits } = require('../utils/currencies');
+const { SIGNATURE_FEE, naturalBalance } = require('../utils/ledger');
+
+// getSignatureStatuses accepts at most this many signatures per call
+const STATUS_BATCH_SIZE = 256;
+
+const SEVERITY = {
+    missing_bet: 'critical',
+    unexplained_outflow: 'critical',
+    unpaid_winner: 'warning',
+    unpaid_refund: 'warning',
+    stranded_funds: 'warning',
+    ledger_drift: 'info'
+};
+
+class Reconciler {
+    constructor(db, walletService, payoutService, config = {}) {
+        this.db = db;
+        this.walletService = walletService;
+        this.payoutService = payoutService;
+        this.connection = walletService.connection;
+        this.houseWalletAddress = config.houseWalletAddress || null;
+        this.intervalMs = config.intervalMs || 0;   // 0 = only when requested
+        this.lookbackHours = config.lookbackHours || 72;
+        this.signatureLimit = config.signatureLimit || 100;
+        this.graceMinutes = config.graceMinutes || 30;
+        this.isRunning = false;
+        this.intervalHandle = null;
+
+        // In-progress run, shared by anyone who asks while it runs
+        this.currentRun = null;
+        this.lastReport = null;
+
+        // Alert callback when a run finds critical discrepancies
+        this.onDiscrepancies = null;
+    }
+
+    /**
+     * Run on an interval (no-op when the interval is 0)
+     */
+    start() {
+        if (this.isRunning || !this.intervalMs) return;
+
+        console.log(`Starting reconciler (interval: ${this.intervalMs}ms, lookback: ${this.lookbackHours}h)`);
+        this.isRunning = true;
+        this.intervalHandle = setInterval(() => {
+            this.run().catch(error => console.error('[RECONCILE] Run failed:', error.message));
+        }, this.intervalMs);
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        console.log('Stopping reconciler');
+        this.isRunning = false;
+
+        if (this.intervalHandle) {
+            clearInterval(this.intervalHandle);
+            this.intervalHandle = null;
+        }
+    }
+
+    getStatus() {
+        return {
+            running: !!this.currentRun,
+            interval_ms: this.intervalMs,
+            lookback_hours: this.lookbackHours,
+            last_report: this.lastReport
+        };
+    }
+
+    /**
+     * Run a full reconciliation (joins the current one if a run is already going)
+     * @returns {Promise<Object>} Report with every discrepancy found
+     */
+    async run() {
+        if (!this.currentRun) {
+            this.currentRun = this.reconcile().finally(() => {
+                this.currentRun = null;
+            });
+        }
+        return await this.currentRun;
+    }
+
+    async reconcile() {
+        const startedAt = Date.now();
+        const now = Math.floor(startedAt / 1000);
+        const since = now - this.lookbackHours * 3600;
+        const graceCutoff = now - this.graceMinutes * 60;
+
+        const report = {
+            started_at: now,
+            lookback_hours: this.lookbackHours,
+            scanned: { deposit_addresses: 0, signatures: 0, payouts: 0, refunds: 0 },
+            wallets: {},
+            discrepancies: [],
+            errors: []
+        };
+        // One finding per signature, however many addresses it touched
+        const flagged = new Set();
+        const add = (type, details) => {
+            const key = details.signature ? `${type}:${details.signature}` : null;
+            if (key && flagged.has(key)) return;
+            if (key) flagged.add(key);
+            report.discrepancies.push({ type, severity: SEVERITY[type], ...details });
+        };
+
+        console.log(`[RECONCILE] Checking the last ${this.lookbackHours}h against the chain...`);
+
+        const deposits = await this.db.getDepositsCreatedSince(since);
+        const ownAddresses = new Set(deposits.map(d => d.address));
+        const masterAddress = this.payoutService.masterWallet ? this.payoutService.masterWallet.publicKey.toBase58() : null;
+        if (masterAddress) ownAddresses.add(masterAddress);
+
+        await this.checkDeposits(deposits, graceCutoff, report, add);
+
+        if (masterAddress) {
+            await this.checkWallet('master', masterAddress, ownAddresses, report, add);
+            await this.checkLedgerDrift(masterAddress, report, add);
+        }
+        if (this.houseWalletAddress) {
+            await this.checkWallet('house', this.houseWalletAddress, ownAddresses, report, add);
+        }
+
+        await this.checkPayouts(since, graceCutoff, report, add);
+        await this.checkRefunds(since, graceCutoff, report, add);
+
+        report.finished_at = Math.floor(Date.now() / 1000);
+        report.duration_ms = Date.now() - startedAt;
+        report.summary = report.discrepancies.reduce((counts, d) => {
+            counts[d.type] = (counts[d.type] || 0) + 1;
+            return counts;
+        }, {});
+
+        const critical = report.discrepancies.filter(d => d.severity === 'critical');
+        console.log(`[RECONCILE] Done in ${report.duration_ms}ms: ${report.discrepancies.length} discrepancies (${critical.length} critical), ${report.errors.length} errors`);
+        if (critical.length > 0) {
+            console.error(`[ALERT] Reconciliation found ${critical.length} critical discrepancies: ${JSON.stringify(report.summary)}`);
+            if (this.onDiscrepancies) {
+                this.onDiscrepancies(report);
+            }
+        }
+
+        this.lastReport = report;
+        return report;
+    }
+
+    /**
+     * Every transfer into a deposit address must be a bet or a refund, every transfer
+     * out must be one of ours, and nothing should be left behind once the address is done
+     */
+    async checkDeposits(deposits, graceCutoff, report, add) {
+        const now = Math.floor(Date.now() / 1000);
+        const refundsByDeposit = new Map();
+        for (const refund of await this.db.getRefundsForDeposits(deposits.map(d => d.id))) {
+            if (!refundsByDeposit.has(refund.deposit_id)) refundsByDeposit.set(refund.deposit_id, []);
+            refundsByDeposit.get(refund.deposit_id).push(refund);
+        }
+
+        for (const deposit of deposits) {
+            try {
+                const currency = getCurrency(deposit.currency);
+                const isToken = isTokenCurrency(currency.code);
+                const watchAddress = isToken ? deposit.token_account : deposit.address;
+                const refunds = refundsByDeposit.get(deposit.id) || [];
+                report.scanned.deposit_addresses++;
+
+                const transactions = await this.getTransactions(watchAddress, report);
+                const processed = await this.db.getProcessedSignatures(transactions.map(t => t.signature));
+                const bets = new Set((await this.db.getBetsBySignatures(transactions.map(t => t.signature))).map(b => b.transaction_signature));
+
+                for (const { signature, blockTime, tx } of transactions) {
+                    const change = this.getBalanceChange(tx, deposit.address, currency);
+                    if (change > 0) {
+                        // Deposit: a bet, or a rejected transfer with a refund of the same amount
+                        if (bets.has(signature) || refunds.some(r => !r.bet_id && r.amount === change)) continue;
+                        // The monitor may not have reached a very recent transfer yet
+                        if (!processed.has(signature) && blockTime && blockTime > graceCutoff) continue;
+
+                        add('missing_bet', {
+                            address: deposit.address,
+                            deposit_id: deposit.id,
+                            race_id: deposit.race_id,
+                            signature,
+                            currency: currency.code,
+                            amount: fromBaseUnits(change, currency.code),
+                            detail: processed.has(signature)
+                                ? 'Transfer was processed but has no bet or refund'
+                                : 'Transfer was never credited'
+                        });
+                    } else if (change < 0 && !processed.has(signature)) {
+                        add('unexplained_outflow', {
+                            address: deposit.address,
+                            deposit_id: deposit.id,
+                            signature,
+                            currency: currency.code,
+                            amount: fromBaseUnits(-change, currency.code),
+                            detail: 'Funds left a deposit address in a transaction we did not send'
+                        });
+                    }
+                }
+
+                // Still open for top-ups, so funds sitting there are expected
+                const open = ['waiting', 'pending_confirmation'].includes(deposit.status) && deposit.expires_at > now;
+                if (open) continue;
+
+                const balance = await this.getBaseBalance(deposit.address, currency.code);
+                const owed = refunds
+                    .filter(r => !r.bet_id && r.status !== 'completed')
+                    .reduce((sum, r) => sum + r.amount, 0);
+                // SOL below one fee can never be moved out
+                const dust = isToken ? 0 : SIGNATURE_FEE;
+                const stranded = balance - owed;
+                if (stranded > dust) {
+                    add('stranded_funds', {
+                        address: deposit.address,
+                        deposit_id: deposit.id,
+                        race_id: deposit.race_id,
+                        currency: currency.code,
+                        amount: fromBaseUnits(stranded, currency.code),
+                        detail: `Deposit is ${deposit.status} but its funds were never collected or refunded`
+                    });
+                }
+            } catch (error) {
+                report.errors.push({ address: deposit.address, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Funds may only leave our wallets in transactions we recorded sending
+     * (the master wallet's own transfers, or any of ours landing in the house wallet)
+     */
+    async checkWallet(name, address, ownAddresses, report, add) {
+        const balances = {};
+        try {
+            for (const currency of listCurrencies()) {
+                balances[currency.code] = fromBaseUnits(await this.getBaseBalance(address, currency.code), currency.code);
+            }
+            report.wallets[name] = { address, balances };
+
+            const transactions = await this.getTransactions(address, report);
+            const processed = await this.db.getProcessedSignatures(transactions.map(t => t.signature));
+
+            for (const { signature, tx } of transactions) {
+                if (processed.has(signature)) continue;
+
+                for (const { owner, code, change } of this.getBalanceChanges(tx)) {
+                    if (change < 0 && ownAddresses.has(owner)) {
+                        add('unexplained_outflow', {
+                            address: owner,
+                            wallet: name,
+                            signature,
+                            currency: code,
+                            amount: fromBaseUnits(-change, code),
+                            detail: `Funds left ${owner === address ? `the ${name} wallet` : owner} in a transaction we did not send`
+                        });
+                    }
+                }
+            }
+        } catch (error) {
+            report.errors.push({ address, error: error.message });
+        }
+    }
+
+    /**
+     * The master wallet's on-chain balance against its ledger account
+     */
+    async checkLedgerDrift(masterAddress, report, add) {
+        try {
+            const ledgerBalances = (await this.db.getLedgerBalances()).filter(b => b.account === 'master_wallet');
+            const drift = {};
+            for (const row of ledgerBalances) {
+                const onChain = await this.getBaseBalance(masterAddress, row.currency);
+                const inLedger = naturalBalance('master_wallet', row.balance);
+                drift[row.currency] = {
+                    on_chain: fromBaseUnits(onChain, row.currency),
+                    ledger: fromBaseUnits(inLedger, row.currency),
+                    difference: fromBaseUnits(onChain - inLedger, row.currency)
+                };
+                if (onChain !== inLedger) {
+                    add('ledger_drift', {
+                        address: masterAddress,
+                        currency: row.currency,
+                        amount: fromBaseUnits(onChain - inLedger, row.currency),
+                        detail: 'Master wallet balance differs from its ledger account (top-ups, rent and pre-ledger history show up here)'
+                    });
+                }
+            }
+            report.ledger_drift = drift;
+        } catch (error) {
+            report.errors.push({ check: 'ledger_drift', error: error.message });
+        }
+    }
+
+    /**
+     * Winners must be paid, and payouts marked paid must be on chain
+     */
+    async checkPayouts(since, graceCutoff, report, add) {
+        try {
+            for (const payout of await this.db.getOverduePayouts(graceCutoff)) {
+                report.scanned.payouts++;
+                add('unpaid_winner', {
+                    payout_id: payout.id,
+                    bet_id: payout.bet_id,
+                    user_wallet: payout.user_wallet,
+                    currency: payout.currency,
+                    amount: fromBaseUnits(payout.amount, payout.currency),
+                    detail: `Payout is ${payout.status}${payout.error_message ? `: ${payout.error_message}` : ''}`
+                });
+            }
+
+            const completed = await this.db.getCompletedPayoutsSince(since);
+            report.scanned.payouts += completed.length;
+            const missing = await this.findMissingSignatures(completed.map(p => p.transaction_signature));
+            for (const payout of completed.filter(p => missing.has(p.transaction_signature))) {
+                add('unpaid_winner', {
+                    payout_id: payout.id,
+                    bet_id: payout.bet_id,
+                    user_wallet: payout.user_wallet,
+                    signature: payout.transaction_signature,
+                    currency: payout.currency,
+                    amount: fromBaseUnits(payout.amount, payout.currency),
+                    detail: 'Payout is marked completed but its transaction is not confirmed on chain'
+                });
+            }
+        } catch (error) {
+            report.errors.push({ check: 'payouts', error: error.message });
+        }
+    }
+
+    /**
+     * Refunds must be sent, and refunds marked sent must be on chain
+     */
+    async checkRefunds(since, graceCutoff, report, add) {
+        try {
+            for (const refund of await this.db.getOverdueRefunds(graceCutoff)) {
+                report.scanned.refunds++;
+                add('unpaid_refund', {
+                    refund_id: refund.id,
+                    deposit_id: refund.deposit_id,
+                    user_wallet: refund.user_wallet,
+                    currency: refund.currency,
+                    amount: fromBaseUnits(refund.amount, refund.currency),
+                    detail: `Refund is ${refund.status}${refund.error_message ? `: ${refund.error_message}` : ''}`
+                });
+            }
+
+            const completed = await this.db.getCompletedRefundsSince(since);
+            report.scanned.refunds += completed.length;
+            const missing = await this.findMissingSignatures(completed.map(r => r.transaction_signature));
+            for (const refund of completed.filter(r => missing.has(r.transaction_signature))) {
+                add('unpaid_refund', {
+                    refund_id: refund.id,
+                    deposit_id: refund.deposit_id,
+                    user_wallet: refund.user_wallet,
+                    signature: refund.transaction_signature,
+                    currency: refund.currency,
+                    amount: fromBaseUnits(refund.amount, refund.currency),
+                    detail: 'Refund is marked completed but its transaction is not confirmed on chain'
+                });
+            }
+        } catch (error) {
+            report.errors.push({ check: 'refunds', error: error.message });
+        }
+    }
+
+    /**
+     * Recent successful transactions touching an address, with their parsed details
+     */
+    async getTransactions(address, report) {
+        const signatures = await this.connection.getSignaturesForAddress(new PublicKey(address), { limit: this.signatureLimit }, 'confirmed');
+        const transactions = [];
+        for (const info of signatures.filter(s => !s.err)) {
+            const tx = await this.walletService.getTransaction(info.signature);
+            if (!tx) {
+                report.errors.push({ address, signature: info.signature, error: 'Transaction could not be fetched' });
+                continue;
+            }
+            transactions.push({ signature: info.signature, blockTime: info.blockTime, tx });
+        }
+        report.scanned.signatures += transactions.length;
+        return transactions;
+    }
+
+    /**
+     * Net balance change of every owner in a transaction, in base units of each supported currency
+     * @returns {Array} [{ owner, code, change }] for non-zero changes
+     */
+    getBalanceChanges(tx) {
+        if (!tx || !tx.meta || tx.meta.err) return [];
+
+        const changes = new Map();
+        const addChange = (owner, code, amount) => {
+            const key = `${owner}|${code}`;
+            changes.set(key, (changes.get(key) || 0n) + amount);
+        };
+
+        tx.transaction.message.accountKeys.forEach((acc, i) => {
+            addChange(acc.pubkey.toBase58(), 'SOL', BigInt(tx.meta.postBalances[i] - tx.meta.preBalances[i]));
+        });
+
+        const codeByMint = new Map(listCurrencies().filter(c => c.mint).map(c => [c.mint, c.code]));
+        const track = (balances, sign) => {
+            for (const balance of balances || []) {
+                const code = codeByMint.get(balance.mint);
+                if (code) addChange(balance.owner, code, sign * BigInt(balance.uiTokenAmount.amount));
+            }
+        };
+        track(tx.meta.preTokenBalances, -1n);
+        track(tx.meta.postTokenBalances, 1n);
+
+        return [...changes.entries()]
+            .filter(([, change]) => change !== 0n)
+            .map(([key, change]) => {
+                const [owner, code] = key.split('|');
+                return { owner, code, change: Number(change) };
+            });
+    }
+
+    /**
+     * Net change of one owner's balance of a currency in a transaction, in base units
+     */
+    getBalanceChange(tx, owner, currency) {
+        const entry = this.getBalanceChanges(tx).find(c => c.owner === owner && c.code === currency.code);
+        return entry ? entry.change : 0;
+    }
+
+    /**
+     * Balance of an owner in base units (0 for a token account that doesn't exist)
+     */
+    async getBaseBalance(owner, code) {
+        if (!isTokenCurrency(code)) {
+            return await this.connection.getBalance(new PublicKey(owner));
+        }
+        const tokenAccount = this.walletService.getTokenAccountAddress(owner, getCurrency(code).mint);
+        try {
+            const { value } = await this.connection.getTokenAccountBalance(new PublicKey(tokenAccount));
+            return parseInt(value.amount);
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Signatures that are not confirmed on chain (unknown or failed)
+     */
+    async findMissingSignatures(signatures) {
+        const unique = [...new Set(signatures.filter(Boolean))];
+        const missing = new Set();
+        for (let i = 0; i < unique.length; i += STATUS_BATCH_SIZE) {
+            const batch = unique.slice(i, i + STATUS_BATCH_SIZE);
+            const { value } = await this.connection.getSignatureStatuses(batch, { searchTransactionHistory: true });
+            batch.forEach((signature, j) => {
+                if (!value[j] || value[j].err) missing.add(signature);
+            });
+        }
+        return missing;
+    }
+}
+
+module.exports = Reconciler;
@@ -0,0 +1,208 @@
+/**
+ * RPC Pool - Spreads Solana RPC calls over several endpoints
+ * Reads are round-robined across healthy endpoints and fail over to the next one on
+ * rate limits (429), server errors (5xx) and network errors. `pool.connection` is a
+ * drop-in replacement for a web3.js Connection, so services don't know about the pool.
+ */
+
+const { Connection } = require('@solana/web3.js');
+
+// Re-sent with a fresh blockhash (and so a new signature) on every call - never retry on another endpoint
+const NO_FAILOVER_METHODS = new Set(['sendTransaction']);
+
+// Subscriptions must stay on the connection that created them to be removed again
+const SUBSCRIPTION_METHODS = /^(on[A-Z]|remove[A-Za-z]*Listener$)/;
+
+const TRANSPORT_ERROR = /\b(429|50[0-9])\b|too many requests|fetch failed|ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|socket hang up/i;
+
+class RpcPool {
+    /**
+     * @param {Array<string>} urls - RPC endpoints, the first one is primary (websocket subscriptions)
+     * @param {Object} config - { commitment, wsEndpoint, healthCheckIntervalMs }
+     */
+    constructor(urls, config = {}) {
+        if (!urls || urls.length === 0) {
+            throw new Error('At least one RPC URL is required');
+        }
+
+        this.healthCheckIntervalMs = config.healthCheckIntervalMs || 30000;
+        this.intervalHandle = null;
+        this.nextIndex = 0;
+
+        this.endpoints = urls.map((url, i) => ({
+            url,
+            connection: new Connection(url, {
+                commitment: config.commitment || 'confirmed',
+                // Fail over straight away instead of web3.js backing off on the same endpoint
+                disableRetryOnRateLimit: true,
+                // The websocket endpoint override only applies to the primary
+                wsEndpoint: i === 0 ? config.wsEndpoint || undefined : undefined
+            }),
+            healthy: true,
+            requests: 0,
+            errors: 0,
+            failovers: 0,
+            latencyMs: null,
+            lastError: null,
+            lastCheckedAt: null
+        }));
+
+        this.connection = this.createConnectionProxy();
+    }
+
+    /**
+     * Start periodic health checks
+     */
+    start() {
+        if (this.intervalHandle) return;
+
+        console.log(`Starting RPC pool with ${this.endpoints.length} endpoint(s) (health check: ${this.healthCheckIntervalMs}ms)`);
+        this.checkHealth();
+        this.intervalHandle = setInterval(() => this.checkHealth(), this.healthCheckIntervalMs);
+    }
+
+    /**
+     * Stop health checks
+     */
+    stop() {
+        if (this.intervalHandle) {
+            clearInterval(this.intervalHandle);
+            this.intervalHandle = null;
+        }
+    }
+
+    /**
+     * Ping every endpoint and update its health and latency
+     */
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async (endpoint) => {
+            const started = Date.now();
+            try {
+                await endpoint.connection.getSlot();
+                this.recordLatency(endpoint, Date.now() - started);
+                if (!endpoint.healthy) {
+                    console.log(`[RPC] ${this.maskUrl(endpoint.url)} is healthy again`);
+                }
+                endpoint.healthy = true;
+            } catch (error) {
+                if (endpoint.healthy) {
+                    console.warn(`[RPC] ${this.maskUrl(endpoint.url)} failed health check:`, error.message);
+                }
+                endpoint.healthy = false;
+                endpoint.errors++;
+                endpoint.lastError = error.message;
+            }
+            endpoint.lastCheckedAt = Math.floor(Date.now() / 1000);
+        }));
+    }
+
+    /**
+     * Endpoints to try for a call: healthy ones in round-robin order, then unhealthy ones as a last resort
+     */
+    getCandidates() {
+        const count = this.endpoints.length;
+        const start = this.nextIndex++ % count;
+        const ordered = [];
+        for (let i = 0; i < count; i++) {
+            ordered.push(this.endpoints[(start + i) % count]);
+        }
+        return [...ordered.filter(e => e.healthy), ...ordered.filter(e => !e.healthy)];
+    }
+
+    /**
+     * Call a Connection method, failing over between endpoints on transport errors
+     */
+    async call(method, args) {
+        const candidates = NO_FAILOVER_METHODS.has(method) ? this.getCandidates().slice(0, 1) : this.getCandidates();
+        let lastError;
+
+        for (const endpoint of candidates) {
+            const started = Date.now();
+            try {
+                const result = await endpoint.connection[method](...args);
+                this.recordSuccess(endpoint, Date.now() - started);
+                return result;
+            } catch (error) {
+                endpoint.requests++;
+
+                // Anything but a transport error is the caller's problem (bad params, failed simulation...)
+                if (!TRANSPORT_ERROR.test(error.message)) {
+                    throw error;
+                }
+
+                endpoint.errors++;
+                endpoint.failovers++;
+                endpoint.healthy = false;
+                endpoint.lastError = error.message;
+                lastError = error;
+                console.warn(`[RPC] ${method} failed on ${this.maskUrl(endpoint.url)}, failing over:`, error.message);
+            }
+        }
+
+        throw lastError;
+    }
+
+    recordSuccess(endpoint, latencyMs) {
+        endpoint.requests++;
+        this.recordLatency(endpoint, latencyMs);
+    }
+
+    recordLatency(endpoint, latencyMs) {
+        // Smoothed so one slow call doesn't dominate
+        endpoint.latencyMs = endpoint.latencyMs === null
+            ? latencyMs
+            : Math.round(endpoint.latencyMs * 0.8 + latencyMs * 0.2);
+    }
+
+    /**
+     * A Connection look-alike that routes every method through the pool
+     */
+    createConnectionProxy() {
+        const primary = this.endpoints[0].connection;
+
+        return new Proxy(primary, {
+            get: (target, prop) => {
+                const value = target[prop];
+                if (typeof value !== 'function' || typeof prop !== 'string' || prop.startsWith('_')) {
+                    return typeof value === 'function' ? value.bind(target) : value;
+                }
+                if (SUBSCRIPTION_METHODS.test(prop)) {
+                    return value.bind(target);
+                }
+                return (...args) => this.call(prop, args);
+            }
+        });
+    }
+
+    /**
+     * Hide API keys in endpoint URLs (query strings and path tokens)
+     */
+    maskUrl(url) {
+        try {
+            const parsed = new URL(url);
+            const path = parsed.pathname.length > 12 ? parsed.pathname.slice(0, 8) + '...' : parsed.pathname;
+            return `${parsed.protocol}//${parsed.host}${path === '/' ? '' : path}${parsed.search ? '?***' : ''}`;
+        } catch {
+            return 'invalid-url';
+        }
+    }
+
+    /**
+     * Per-endpoint stats for /admin/stats
+     */
+    getStats() {
+        return this.endpoints.map((endpoint, i) => ({
+            url: this.maskUrl(endpoint.url),
+            primary: i === 0,
+            healthy: endpoint.healthy,
+            requests: endpoint.requests,
+            errors: endpoint.errors,
+            failovers: endpoint.failovers,
+            latency_ms: endpoint.latencyMs,
+            last_error: endpoint.lastError,
+            last_checked_at: endpoint.lastCheckedAt
+        }));
+    }
+}
+
+module.exports = RpcPool;
@@ -0,0 +1,169 @@
+/**
+ * Race Scheduler Service
+ * Creates races from recurring schedules, opens betting at a lead time and closes it at start_time
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+class RaceScheduler {
+    constructor(db, config = {}) {
+        this.db = db;
+        this.intervalMs = config.intervalMs || 10000;
+        this.isRunning = false;
+        this.isTicking = false;
+        this.intervalHandle = null;
+
+        // Event callbacks
+        this.onRaceCreated = null;
+        this.onRaceOpened = null;
+        this.onRaceClosed = null;
+    }
+
+    /**
+     * Start the scheduler (schedules are read from the database, so restarts resume them)
+     */
+    start() {
+        if (this.isRunning) {
+            console.log('Scheduler already running');
+            return;
+        }
+
+        console.log(`Starting race scheduler (interval: ${this.intervalMs}ms)`);
+        this.isRunning = true;
+
+        // Run immediately, then on interval
+        this.tick();
+        this.intervalHandle = setInterval(() => this.tick(), this.intervalMs);
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (!this.isRunning) return;
+
+        console.log('Stopping race scheduler');
+        this.isRunning = false;
+
+        if (this.intervalHandle) {
+            clearInterval(this.intervalHandle);
+            this.intervalHandle = null;
+        }
+    }
+
+    /**
+     * Create a new recurring schedule
+     * @param {Object} options - { title, horses, intervalMinutes, createLeadMinutes, openLeadMinutes, firstStartTime, currency }
+     */
+    async createSchedule(options) {
+        const { title, horses, intervalMinutes, createLeadMinutes, openLeadMinutes, firstStartTime, currency = 'SOL' } = options;
+
+        if (openLeadMinutes > createLeadMinutes) {
+            throw new Error('open_lead_minutes cannot be greater than create_lead_minutes');
+        }
+        if (createLeadMinutes >= intervalMinutes) {
+            throw new Error('create_lead_minutes must be shorter than interval_minutes');
+        }
+
+        const scheduleId = 'sched_' + uuidv4().slice(0, 8);
+        const schedule = await this.db.createSchedule(
+            scheduleId,
+            title,
+            horses,
+            intervalMinutes,
+            createLeadMinutes,
+            openLeadMinutes,
+            firstStartTime,
+            currency
+        );
+
+        console.log(`Schedule created: ${scheduleId} - every ${intervalMinutes} min starting ${new Date(firstStartTime * 1000).toISOString()}`);
+        return schedule;
+    }
+
+    /**
+     * Run one scheduling pass: create due races, open and close scheduled races
+     */
+    async tick() {
+        // Skip if the previous pass is still running (slow DB); other instances are kept
+        // apart by the schedule row lock in createDueRace
+        if (this.isTicking) return;
+        this.isTicking = true;
+
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const schedules = await this.db.getSchedules(true);
+            for (const schedule of schedules) {
+                await this.createDueRace(schedule, now);
+            }
+
+            for (const raceId of await this.db.getScheduledRacesToOpen(now)) {
+                const race = await this.db.updateRaceStatus(raceId, 'open');
+                console.log(`[SCHEDULER] Race opened for betting: ${raceId}`);
+                if (this.onRaceOpened) {
+                    this.onRaceOpened(race);
+                }
+            }
+
+            for (const raceId of await this.db.getScheduledRacesToClose(now)) {
+                const race = await this.db.updateRaceStatus(raceId, 'closed');
+                console.log(`[SCHEDULER] Race betting closed: ${raceId}`);
+                if (this.onRaceClosed) {
+                    this.onRaceClosed(race);
+                }
+            }
+        } catch (error) {
+            console.error('Error in scheduler cycle:', error);
+        } finally {
+            this.isTicking = false;
+        }
+    }
+
+    /**
+     * Create the schedule's next race once its create lead time is reached
+     * The race and the schedule's advance commit together under a lock on the schedule row,
+     * so instances sharing the database never create the same slot twice
+     */
+    async createDueRace(schedule, now) {
+        const race = await this.db.withTransaction(async (tx) => {
+            // Re-read under the lock: another instance may have advanced it since getSchedules
+            schedule = await tx.lockSchedule(schedule.id);
+            if (!schedule) return null;
+
+            const intervalSeconds = schedule.interval_minutes * 60;
+            let nextStart = parseInt(schedule.next_start_time);
+
+            // Slots missed while the server was down are skipped, not raced late
+            if (nextStart - schedule.open_lead_minutes * 60 <= now) {
+                const missed = Math.floor((now - (nextStart - schedule.open_lead_minutes * 60)) / intervalSeconds) + 1;
+                nextStart += missed * intervalSeconds;
+                console.log(`[SCHEDULER] Skipping ${missed} missed slot(s) for ${schedule.id}`);
+                await tx.advanceSchedule(schedule.id, nextStart, schedule.race_count);
+            }
+
+            if (nextStart - schedule.create_lead_minutes * 60 > now) {
+                return null;
+            }
+
+            const raceNumber = schedule.race_count + 1;
+            const raceId = 'race_' + Date.now().toString(36);
+            const title = schedule.title_template.replace('{n}', raceNumber);
+
+            const created = await tx.createRace(raceId, title, schedule.horses, nextStart, null, schedule.id, schedule.currency);
+            await tx.advanceSchedule(schedule.id, nextStart + intervalSeconds, raceNumber);
+            return created;
+        });
+
+        if (!race) return null;
+
+        console.log(`[SCHEDULER] Race created: ${race.id} - ${race.title}`);
+        if (this.onRaceCreated) {
+            this.onRaceCreated(race);
+        }
+
+        return race;
+    }
+}
+
+module.exports = RaceScheduler;
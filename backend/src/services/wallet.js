@@ -1,8 +1,10 @@
 /**
  * Wallet Service - Generates unique Solana deposit addresses
+ * Token deposits land in the deposit address's associated token account
  */
 
 const { Keypair, PublicKey, Connection, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
 const bs58 = require('bs58');
 
 class WalletService {
@@ -48,16 +50,42 @@ class WalletService {
         }
     }
 
+    /**
+     * Get the associated token account of an owner for a mint
+     * @param {string} owner - Owner public key as base58 string
+     * @param {string} mint - Token mint as base58 string
+     * @returns {string} Token account address as base58 string
+     */
+    getTokenAccountAddress(owner, mint) {
+        return getAssociatedTokenAddressSync(new PublicKey(mint), new PublicKey(owner), true).toBase58();
+    }
+
+    /**
+     * Get the balance of a token account in whole tokens
+     * @param {string} tokenAccount - Token account address as base58 string
+     * @returns {Promise<number>} Balance, 0 if the account doesn't exist yet
+     */
+    async getTokenBalance(tokenAccount) {
+        try {
+            const { value } = await this.connection.getTokenAccountBalance(new PublicKey(tokenAccount));
+            return parseFloat(value.uiAmountString);
+        } catch (error) {
+            // Not created until the first transfer arrives
+            return 0;
+        }
+    }
+
     /**
      * Get recent transactions for an address
      * @param {string} address - Public key as base58 string
      * @param {number} limit - Number of transactions to fetch
+     * @param {string} commitment - Minimum commitment ('confirmed' or 'finalized'); each entry carries its confirmationStatus
      * @returns {Promise<Array>}
      */
-    async getRecentTransactions(address, limit = 10) {
+    async getRecentTransactions(address, limit = 10, commitment = 'confirmed') {
         try {
             const publicKey = new PublicKey(address);
-            const signatures = await this.connection.getSignaturesForAddress(publicKey, { limit });
+            const signatures = await this.connection.getSignaturesForAddress(publicKey, { limit }, commitment);
             return signatures;
         } catch (error) {
             console.error('Error getting transactions:', error);
@@ -68,11 +96,13 @@ class WalletService {
     /**
      * Get transaction details
      * @param {string} signature - Transaction signature
+     * @param {string} commitment - Minimum commitment ('confirmed' or 'finalized')
      * @returns {Promise<Object|null>}
      */
-    async getTransaction(signature) {
+    async getTransaction(signature, commitment = 'confirmed') {
         try {
             const tx = await this.connection.getParsedTransaction(signature, {
+                commitment,
                 maxSupportedTransactionVersion: 0
             });
             return tx;
@@ -86,7 +116,7 @@ class WalletService {
      * Check if a transaction is a SOL transfer to this address
      * @param {Object} tx - Parsed transaction
      * @param {string} toAddress - Expected recipient address
-     * @returns {Object|null} { fromAddress, amount } or null if not a transfer
+     * @returns {Object|null} { fromAddress, amount (lamports), signature } or null if not a transfer
      */
     parseSOLTransfer(tx, toAddress) {
         if (!tx || !tx.meta || tx.meta.err) return null;
@@ -121,7 +151,7 @@ class WalletService {
 
             return {
                 fromAddress,
-                amount: amountLamports / LAMPORTS_PER_SOL,
+                amount: amountLamports,
                 signature: tx.transaction.signatures[0]
             };
         } catch (error) {
@@ -130,6 +160,69 @@ class WalletService {
         }
     }
 
+    /**
+     * Check if a transaction is an SPL token transfer to this owner
+     * Works from the token balance changes, so plain transfers, transferChecked and
+     * transfers that create the associated token account all parse the same way
+     * @param {Object} tx - Parsed transaction
+     * @param {string} toOwner - Owner of the receiving token account (the deposit address)
+     * @param {string} mint - Expected token mint
+     * @returns {Object|null} { fromAddress, amount (base units), signature } or null if not a transfer of this mint
+     */
+    parseTokenTransfer(tx, toOwner, mint) {
+        if (!tx || !tx.meta || tx.meta.err) return null;
+
+        try {
+            const balanceChanges = new Map(); // accountIndex -> { owner, change }
+            const track = (balances, sign) => {
+                for (const balance of balances || []) {
+                    if (balance.mint !== mint) continue;
+                    const entry = balanceChanges.get(balance.accountIndex) || { owner: balance.owner, change: 0n };
+                    entry.change += sign * BigInt(balance.uiTokenAmount.amount);
+                    balanceChanges.set(balance.accountIndex, entry);
+                }
+            };
+            track(tx.meta.preTokenBalances, -1n);
+            track(tx.meta.postTokenBalances, 1n);
+
+            const received = [...balanceChanges.values()].find(e => e.owner === toOwner && e.change > 0n);
+            if (!received) return null;
+
+            const sender = [...balanceChanges.values()].find(e => e.owner !== toOwner && e.change < 0n);
+
+            return {
+                fromAddress: sender ? sender.owner : null,
+                amount: Number(received.change),
+                signature: tx.transaction.signatures[0]
+            };
+        } catch (error) {
+            console.error('Error parsing token transfer:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Subscribe to account changes on an address (uses the connection's websocket endpoint)
+     * @param {string} address - Public key as base58 string
+     * @param {Function} callback - Called with the new account info
+     * @returns {number} Subscription id for unsubscribe()
+     */
+    subscribeToAccount(address, callback, commitment = 'confirmed') {
+        return this.connection.onAccountChange(new PublicKey(address), callback, commitment);
+    }
+
+    /**
+     * Remove an account subscription
+     * @param {number} subscriptionId
+     */
+    async unsubscribe(subscriptionId) {
+        try {
+            await this.connection.removeAccountChangeListener(subscriptionId);
+        } catch (error) {
+            console.error('Error removing account subscription:', error);
+        }
+    }
+
     /**
      * Validate a Solana public key
      * @param {string} address 
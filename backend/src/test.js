@@ -0,0 +1,359 @@
+/**
+ * Database Tests
+ * Runs the migrations and the services' SQL against PGlite (Postgres in-process), so no
+ * database server is needed. Every test gets a freshly migrated database. Run with:
+ *   npm test
+ */
+
+const assert = require('assert');
+const { PGlite } = require('@electric-sql/pglite');
+const { v4: uuidv4 } = require('uuid');
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const PumpPoniesDB = require('./db/schema');
+const Migrator = require('./db/migrator');
+const DepositMonitor = require('./services/monitor');
+const PayoutService = require('./services/payout');
+const RaceScheduler = require('./services/scheduler');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+/**
+ * PumpPoniesDB backed by a new PGlite database with every migration applied
+ * PGlite has a single connection, so transactions share it; tests run one query at a time
+ */
+async function createTestDb() {
+    const pglite = new PGlite();
+    const query = async (text, params) => {
+        const result = await pglite.query(text, params);
+        return { ...result, rowCount: result.command === 'SELECT' ? result.rows.length : result.affectedRows };
+    };
+
+    const db = new PumpPoniesDB('postgresql://unused', null);
+    await db.pool.end();
+    db.pool = {
+        query,
+        connect: async () => ({ query, release: () => {} }),
+        end: () => pglite.close()
+    };
+
+    await new Migrator(db).migrate();
+    return db;
+}
+
+/**
+ * A race with one bet per horse, each with a deposit address and a payout row
+ */
+async function seedRace(db, horses = ['Alpha', 'Bravo', 'Charlie']) {
+    const raceId = `race_${uuidv4().slice(0, 8)}`;
+    await db.createRace(raceId, 'Test Race', horses, Math.floor(Date.now() / 1000));
+    await db.updateRaceStatus(raceId, 'open');
+
+    const bets = [];
+    for (let horse = 1; horse <= horses.length; horse++) {
+        const depositId = uuidv4();
+        await db.createDepositAddress(depositId, `addr_${uuidv4()}`, 'key', raceId, horse, Math.floor(Date.now() / 1000) + 1800, 'wallet');
+        const wallet = Keypair.generate().publicKey.toBase58();
+        const bet = await db.createBet(uuidv4(), raceId, horse, depositId, wallet, 100000000, `sig_${uuidv4()}`, 3);
+        await db.createPayout(uuidv4(), bet.id, bet.user_wallet, 200000000);
+        bets.push(bet);
+    }
+    return { raceId, bets };
+}
+
+async function countRows(db, table, where = 'TRUE', params = []) {
+    const result = await db.query(`SELECT COUNT(*)::int AS count FROM ${table} WHERE ${where}`, params);
+    return result.rows[0].count;
+}
+
+// ===================
+// RACE CLEANUP
+// ===================
+
+test('deleteCompletedRaces removes a settled race with its bets, payouts and scratch refunds', async (db) => {
+    const { raceId, bets } = await seedRace(db);
+    const monitor = new DepositMonitor(db, null);
+    const refunds = await monitor.scratchHorse(raceId, 2);
+    assert.strictEqual(refunds.length, 1);
+
+    await db.query("UPDATE payouts SET status = 'completed' WHERE bet_id = ANY($1)", [bets.map(b => b.id)]);
+    await db.query("UPDATE refunds SET status = 'completed'");
+    await db.updateRaceStatus(raceId, 'completed');
+
+    assert.deepStrictEqual(await db.deleteCompletedRaces(), { deleted: 1, skipped: 0 });
+    assert.strictEqual(await db.getRace(raceId), null);
+    for (const table of ['bets', 'deposit_addresses', 'horses']) {
+        assert.strictEqual(await countRows(db, table, 'race_id = $1', [raceId]), 0, table);
+    }
+    assert.strictEqual(await countRows(db, 'payouts'), 0);
+    assert.strictEqual(await countRows(db, 'refunds'), 0);
+    // The ledger keeps the record of the refund
+    assert.strictEqual(await countRows(db, 'ledger_transactions', "kind = 'bet_refund'"), 1);
+});
+
+test('deleteCompletedRaces skips a race that still owes a payout or refund', async (db) => {
+    const paid = await seedRace(db);
+    const owing = await seedRace(db);
+    await db.query("UPDATE payouts SET status = 'completed' WHERE bet_id = ANY($1)", [paid.bets.map(b => b.id)]);
+    await db.updateRaceStatus(paid.raceId, 'completed');
+    await db.updateRaceStatus(owing.raceId, 'completed');
+
+    assert.deepStrictEqual(await db.deleteCompletedRaces(), { deleted: 1, skipped: 1 });
+    assert.ok(await db.getRace(owing.raceId));
+    assert.strictEqual(await db.getRace(paid.raceId), null);
+    assert.strictEqual(await countRows(db, 'payouts'), owing.bets.length);
+});
+
+test('clearAllData removes refunds before the bets they reference', async (db) => {
+    const { raceId } = await seedRace(db);
+    await new DepositMonitor(db, null).scratchHorse(raceId, 1);
+
+    await db.clearAllData();
+    for (const table of ['refunds', 'payouts', 'bets', 'deposit_addresses', 'horses', 'races']) {
+        assert.strictEqual(await countRows(db, table), 0, table);
+    }
+});
+
+// ===================
+// SCRATCHES AND CANCELLATIONS
+// ===================
+
+test('a scratch that fails part way leaves the horse unscratched so it can be retried', async (db) => {
+    const { raceId } = await seedRace(db);
+    const monitor = new DepositMonitor(db, null);
+    monitor.queueBetRefund = async () => { throw new Error('connection lost'); };
+
+    await assert.rejects(monitor.scratchHorse(raceId, 2), /connection lost/);
+    const race = await db.getRace(raceId);
+    assert.strictEqual(race.horses.find(h => h.horse_number === 2).scratched, false);
+    assert.strictEqual(await countRows(db, 'refunds'), 0);
+
+    delete monitor.queueBetRefund;
+    const refunds = await monitor.scratchHorse(raceId, 2);
+    assert.strictEqual(refunds.length, 1);
+    assert.strictEqual(await monitor.scratchHorse(raceId, 2), null);
+});
+
+test('a cancellation that fails part way leaves the race open so it can be retried', async (db) => {
+    const { raceId, bets } = await seedRace(db);
+    const monitor = new DepositMonitor(db, null);
+    const queueBetRefund = monitor.queueBetRefund.bind(monitor);
+    let calls = 0;
+    monitor.queueBetRefund = async (...args) => {
+        if (++calls === 2) throw new Error('connection lost');
+        return queueBetRefund(...args);
+    };
+
+    await assert.rejects(monitor.cancelRace(raceId, 'Track closed'), /connection lost/);
+    assert.strictEqual((await db.getRace(raceId)).status, 'open');
+    assert.strictEqual(await countRows(db, 'refunds'), 0);
+
+    delete monitor.queueBetRefund;
+    const { race, refunds } = await monitor.cancelRace(raceId, 'Track closed');
+    assert.strictEqual(race.status, 'cancelled');
+    assert.strictEqual(refunds.length, bets.length);
+    await assert.rejects(monitor.cancelRace(raceId), /Cannot cancel a cancelled race/);
+});
+
+// ===================
+// SETTLEMENT
+// ===================
+
+test('dead_heat_factor holds only the tie split, not the place or show share', async (db) => {
+    const raceId = `race_${uuidv4().slice(0, 8)}`;
+    await db.createRace(raceId, 'Test Race', ['Alpha', 'Bravo', 'Charlie', 'Delta'], Math.floor(Date.now() / 1000));
+    const bet = async (horse, betType) => {
+        const depositId = uuidv4();
+        await db.createDepositAddress(depositId, `addr_${uuidv4()}`, 'key', raceId, horse, Math.floor(Date.now() / 1000) + 1800, null, betType, String(horse));
+        return db.createBet(uuidv4(), raceId, horse, depositId, Keypair.generate().publicKey.toBase58(),
+            100000000, `sig_${uuidv4()}`, 1, betType, String(horse));
+    };
+
+    const placeWinner = await bet(1, 'place');
+    const placeTied = await bet(3, 'place');
+    await bet(4, 'place');
+    const winTied = await bet(1, 'win');
+    await bet(4, 'win');
+
+    // 1 wins, 2 and 3 dead-heat for second
+    const { winners } = await new DepositMonitor(db, null).calculateWinnings(raceId, [1, [2, 3], 4]);
+    const factorOf = (b) => winners.find(w => w.bet_id === b.id).dead_heat_factor;
+    assert.strictEqual(factorOf(placeWinner), 1);
+    assert.strictEqual(factorOf(placeTied), 0.5);
+    assert.strictEqual(factorOf(winTied), 1);
+
+    const stored = await db.query('SELECT dead_heat_factor FROM bets WHERE id = $1', [placeWinner.id]);
+    assert.strictEqual(stored.rows[0].dead_heat_factor, 1);
+
+    // The place pool still pays the winner its full position share: twice the tied horse's (give or take rounding)
+    const winningsOf = (b) => winners.find(w => w.bet_id === b.id).winnings;
+    assert.ok(Math.abs(winningsOf(placeWinner) - 2 * winningsOf(placeTied)) <= 2);
+});
+
+// ===================
+// DEPOSITS
+// ===================
+
+/**
+ * Wallet stub holding one transfer to an address at the given confirmation status
+ */
+function walletWithTransfer(transfer, status) {
+    return {
+        confirmationStatus: status,
+        getBalance: async () => transfer.amount,
+        getRecentTransactions: async function () {
+            return [{ signature: transfer.signature, err: null, confirmationStatus: this.confirmationStatus }];
+        },
+        getTransaction: async () => ({}),
+        parseSOLTransfer: () => transfer
+    };
+}
+
+test('a top-up to a confirmed address held for finalization is still credited after the address expires', async (db) => {
+    const { raceId, bets } = await seedRace(db);
+    const depositId = bets[0].deposit_address_id;
+    const sig = `sig_${uuidv4()}`;
+    await db.recordDepositTransfer(depositId, 'confirmed', bets[0].amount, bets[0].transaction_signature, bets[0].user_wallet);
+
+    const topUp = { amount: 2000000000, fromAddress: bets[0].user_wallet, signature: sig };
+    const wallet = walletWithTransfer(topUp, 'confirmed');
+    const monitor = new DepositMonitor(db, wallet, { finalizedThreshold: 1 });
+
+    await monitor.checkSingleDeposit(await db.getDepositAddress(depositId));
+    let deposit = await db.getDepositAddress(depositId);
+    assert.strictEqual(deposit.status, 'confirmed');
+    assert.strictEqual(deposit.awaiting_confirmation, true);
+
+    // Past expiry, but inside the confirmation timeout: still watched, and credited once finalized
+    await db.query('UPDATE deposit_addresses SET expires_at = $1 WHERE id = $2', [Math.floor(Date.now() / 1000) - 60, depositId]);
+    assert.ok((await db.getActiveDeposits(monitor.confirmationTimeout)).some(d => d.id === depositId));
+
+    wallet.confirmationStatus = 'finalized';
+    await monitor.checkSingleDeposit(await db.getDepositAddress(depositId));
+    deposit = await db.getDepositAddress(depositId);
+    assert.strictEqual(deposit.awaiting_confirmation, false);
+    assert.strictEqual(await countRows(db, 'bets', 'transaction_signature = $1 AND race_id = $2', [sig, raceId]), 1);
+});
+
+test('a held top-up that never finalizes stops being watched without unsettling the confirmed bet', async (db) => {
+    const { bets } = await seedRace(db);
+    const depositId = bets[0].deposit_address_id;
+    await db.recordDepositTransfer(depositId, 'confirmed', bets[0].amount, bets[0].transaction_signature, bets[0].user_wallet);
+    await db.setDepositPendingConfirmation(depositId);
+
+    const monitor = new DepositMonitor(db, walletWithTransfer({ amount: 0 }, 'confirmed'));
+    await db.query('UPDATE deposit_addresses SET expires_at = $1 WHERE id = $2',
+        [Math.floor(Date.now() / 1000) - monitor.confirmationTimeout - 60, depositId]);
+    await monitor.cleanupExpiredDeposits();
+
+    const deposit = await db.getDepositAddress(depositId);
+    assert.strictEqual(deposit.status, 'confirmed');
+    assert.strictEqual(deposit.awaiting_confirmation, false);
+    assert.ok(!(await db.getActiveDeposits(monitor.confirmationTimeout)).some(d => d.id === depositId));
+});
+
+// ===================
+// PAYOUTS
+// ===================
+
+/**
+ * Connection stub on which every transaction lands
+ */
+function landingConnection() {
+    return {
+        getLatestBlockhash: async () => ({ blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 1000 }),
+        sendRawTransaction: async () => 'sent',
+        confirmTransaction: async () => ({ value: { err: null } }),
+        getSignatureStatuses: async (signatures) => ({ value: signatures.map(() => ({ err: null, confirmationStatus: 'confirmed' })) })
+    };
+}
+
+test('a payout batch that lands but cannot be recorded is left for reconciliation, not resent', async (db) => {
+    await seedRace(db);
+    const payoutService = new PayoutService(landingConnection(), db, bs58.encode(Keypair.generate().secretKey));
+    payoutService.completePayouts = async () => { throw new Error('connection lost'); };
+
+    const result = await payoutService.processPayouts(await db.getPendingPayouts());
+    assert.strictEqual(result.failures.length, 0);
+    assert.strictEqual(result.unconfirmed.length, 3);
+
+    const processing = await db.getProcessingPayouts();
+    assert.strictEqual(processing.length, 3);
+    assert.ok(processing.every(p => p.transaction_signature && p.signed_transaction));
+
+    delete payoutService.completePayouts;
+    const reconciled = await payoutService.reconcilePayouts();
+    assert.strictEqual(reconciled.completed.length, 3);
+    assert.strictEqual(await countRows(db, 'payouts', "status = 'completed'"), 3);
+});
+
+test('a payout pass releases its advisory lock, even when it fails', async (db) => {
+    const payoutService = new PayoutService(landingConnection(), db, bs58.encode(Keypair.generate().secretKey));
+    const advisoryLocks = () => countRows(db, 'pg_locks', "locktype = 'advisory'");
+
+    const { acquired, result } = await payoutService.runExclusive(async () => advisoryLocks());
+    assert.strictEqual(acquired, true);
+    assert.strictEqual(result, 1);
+    assert.strictEqual(await advisoryLocks(), 0);
+
+    await assert.rejects(payoutService.runExclusive(async () => { throw new Error('boom'); }), /boom/);
+    assert.strictEqual(await advisoryLocks(), 0);
+    assert.strictEqual(payoutService.isProcessing, false);
+});
+
+// ===================
+// SCHEDULER
+// ===================
+
+test('a schedule slot already taken by another instance is not created again', async (db) => {
+    const scheduler = new RaceScheduler(db);
+    const now = Math.floor(Date.now() / 1000);
+    await scheduler.createSchedule({
+        title: 'Race {n}', horses: ['Alpha', 'Bravo'], intervalMinutes: 10,
+        createLeadMinutes: 5, openLeadMinutes: 2, firstStartTime: now + 240
+    });
+
+    // Both passes read the schedule before either created its race
+    const [schedule] = await db.getSchedules(true);
+    const first = await scheduler.createDueRace(schedule, now);
+    const second = await scheduler.createDueRace(schedule, now);
+
+    assert.ok(first);
+    assert.strictEqual(second, null);
+    assert.strictEqual(await countRows(db, 'races'), 1);
+    const advanced = await db.getSchedule(schedule.id);
+    assert.strictEqual(advanced.race_count, 1);
+    assert.strictEqual(advanced.next_start_time, now + 240 + 600);
+});
+
+async function main() {
+    let failed = 0;
+    // Keep migration and service logging out of the test output
+    const { log, warn } = console;
+
+    for (const { name, fn } of tests) {
+        console.log = console.warn = () => {};
+        const db = await createTestDb();
+        try {
+            await fn(db);
+            Object.assign(console, { log, warn });
+            console.log(`  ✓ ${name}`);
+        } catch (error) {
+            Object.assign(console, { log, warn });
+            failed++;
+            console.log(`  ✗ ${name}`);
+            console.log(`    ${error.stack.split('\n').join('\n    ')}`);
+        } finally {
+            await db.close();
+        }
+    }
+
+    console.log(`${tests.length - failed} passed, ${failed} failed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error('Test run failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,65 @@
+/**
+ * Admin roles and API keys
+ * Each admin account has one role; each /admin route requires one permission.
+ * API keys are random 32-byte secrets, so they are stored as a SHA-256 hash
+ * (no slow hash needed) and shown in full only when created.
+ */
+
+const crypto = require('crypto');
+
+const PERMISSIONS = {
+    read: 'View races, bets, payouts, ledger, reconciliation and audit logs',
+    races: 'Create, open, close, end, cancel and delete races; manage schedules and site config',
+    treasury: 'Process payouts and refunds, collect deposits, resume the payout worker',
+    admins: 'Create admin accounts and create or revoke API keys',
+    wipe: 'Clear all data'
+};
+
+const ROLES = {
+    superadmin: { label: 'Super admin', permissions: Object.keys(PERMISSIONS) },
+    operator: { label: 'Race operator', permissions: ['read', 'races'] },
+    treasurer: { label: 'Treasurer', permissions: ['read', 'treasury'] },
+    auditor: { label: 'Read-only auditor', permissions: ['read'] }
+};
+
+const KEY_PREFIX = 'ppk_';
+
+function isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+function hasPermission(role, permission) {
+    return !!ROLES[role]?.permissions.includes(permission);
+}
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * New API key
+ * @returns {Object} { key, hash, prefix } - prefix identifies the key in listings without revealing it
+ */
+function generateApiKey() {
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    return { key, hash: hashApiKey(key), prefix: key.slice(0, KEY_PREFIX.length + 6) };
+}
+
+/**
+ * Timing-safe comparison of two secrets of any length
+ */
+function secretsMatch(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    isValidRole,
+    hasPermission,
+    hashApiKey,
+    generateApiKey,
+    secretsMatch
+};
@@ -0,0 +1,73 @@
+/**
+ * Audit log hash chain and export helpers
+ * Each entry's hash covers its own fields and the previous entry's hash, so editing,
+ * removing or reordering any stored entry breaks every hash after it.
+ */
+
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Hashed fields, in hash order; also the CSV columns after id
+const AUDIT_FIELDS = ['created_at', 'method', 'path', 'query', 'ip', 'user_agent', 'admin', 'admin_role', 'status', 'body'];
+
+// Request body fields never written to the log
+const SECRET_FIELD = /private_key|secret|token|api_key|password/i;
+
+function redactBody(body) {
+    if (!body || typeof body !== 'object' || Object.keys(body).length === 0) return null;
+    const redacted = {};
+    for (const [key, value] of Object.entries(body)) {
+        redacted[key] = SECRET_FIELD.test(key) ? '[REDACTED]' : value;
+    }
+    return JSON.stringify(redacted);
+}
+
+/**
+ * Hash of an entry chained to the one before it
+ */
+function hashAuditEntry(prevHash, entry) {
+    const values = AUDIT_FIELDS.map(field => entry[field] ?? null);
+    return crypto.createHash('sha256').update(prevHash + JSON.stringify(values)).digest('hex');
+}
+
+/**
+ * Walk stored entries in id order and find the first that doesn't chain
+ * @param {Array} rows - Consecutive entries, oldest first
+ * @param {string} prevHash - Hash of the entry before rows[0] (GENESIS_HASH for the first)
+ * @returns {Object} { broken: { id, reason } | null, lastHash }
+ */
+function verifyChain(rows, prevHash = GENESIS_HASH) {
+    for (const row of rows) {
+        if (row.prev_hash !== prevHash) {
+            return { broken: { id: row.id, reason: 'prev_hash does not match the previous entry' }, lastHash: prevHash };
+        }
+        if (hashAuditEntry(row.prev_hash, row) !== row.hash) {
+            return { broken: { id: row.id, reason: 'hash does not match the entry contents' }, lastHash: prevHash };
+        }
+        prevHash = row.hash;
+    }
+    return { broken: null, lastHash: prevHash };
+}
+
+const CSV_COLUMNS = ['id', ...AUDIT_FIELDS, 'prev_hash', 'hash'];
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRows(rows) {
+    return rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(',') + '\n').join('');
+}
+
+module.exports = {
+    GENESIS_HASH,
+    AUDIT_FIELDS,
+    CSV_COLUMNS,
+    redactBody,
+    hashAuditEntry,
+    verifyChain,
+    toCsvRows
+};
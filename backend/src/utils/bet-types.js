@@ -0,0 +1,182 @@
+/**
+ * Bet type definitions for parimutuel pools
+ * Every bet type has its own pool; tickets in a pool are keyed by their selection string
+ */
+
+// picks: horses on the ticket, places: finishing positions needed to settle the pool
+const BET_TYPES = {
+    win:      { picks: 1, places: 1, ordered: true,  label: 'Win' },
+    place:    { picks: 1, places: 2, ordered: true,  label: 'Place' },
+    show:     { picks: 1, places: 3, ordered: true,  label: 'Show' },
+    exacta:   { picks: 2, places: 2, ordered: true,  label: 'Exacta' },
+    quinella: { picks: 2, places: 2, ordered: false, label: 'Quinella' },
+    trifecta: { picks: 3, places: 3, ordered: true,  label: 'Trifecta' }
+};
+
+const EXOTIC_BET_TYPES = ['exacta', 'quinella', 'trifecta'];
+
+/**
+ * Check that a bet type is supported
+ */
+function isValidBetType(betType) {
+    return Object.prototype.hasOwnProperty.call(BET_TYPES, betType);
+}
+
+/**
+ * Build the canonical selection string for a ticket
+ * Unordered bet types are sorted so "5-3" and "3-5" land in the same pool
+ * @param {string} betType - One of BET_TYPES
+ * @param {Array<number>} horses - Horse numbers in the order the bettor picked them
+ * @returns {string} - Selection key, e.g. "3-5-7"
+ */
+function normalizeSelection(betType, horses) {
+    const type = BET_TYPES[betType];
+    if (!type) {
+        throw new Error(`Unknown bet type: ${betType}`);
+    }
+    if (!Array.isArray(horses) || horses.length !== type.picks) {
+        throw new Error(`${type.label} bets require exactly ${type.picks} horse(s)`);
+    }
+
+    const numbers = horses.map(h => parseInt(h));
+    if (numbers.some(n => isNaN(n))) {
+        throw new Error('Selection must contain horse numbers');
+    }
+    if (new Set(numbers).size !== numbers.length) {
+        throw new Error('Selection cannot contain the same horse twice');
+    }
+
+    if (!type.ordered) {
+        numbers.sort((a, b) => a - b);
+    }
+    return numbers.join('-');
+}
+
+/**
+ * Parse a selection string back into horse numbers
+ */
+function parseSelection(selection) {
+    return String(selection).split('-').map(n => parseInt(n));
+}
+
+/**
+ * Normalize a finishing order into groups of horses sharing a position
+ * A nested array marks a dead heat: [[3, 7], 1] means 3 and 7 tied for first, 1 finished third
+ * @param {Array<number|Array<number>>|number} finishingOrder
+ * @returns {Array<Array<number>>}
+ */
+function normalizeFinishingOrder(finishingOrder) {
+    const order = Array.isArray(finishingOrder) ? finishingOrder : [finishingOrder];
+    return order.map(entry => (Array.isArray(entry) ? entry : [entry]).map(h => parseInt(h)));
+}
+
+/**
+ * Check whether two finishing orders are the same (horses within a dead heat in any order)
+ */
+function sameFinishingOrder(a, b) {
+    const key = (order) => JSON.stringify(normalizeFinishingOrder(order).map(group => [...group].sort((x, y) => x - y)));
+    return key(a) === key(b);
+}
+
+/**
+ * Every ordering of the first `length` finishers consistent with the finishing groups
+ * Only the horses that can land in those positions are permuted, so a wide dead heat stays cheap
+ */
+function expandOrderings(groups, length) {
+    // Ordered picks of `count` horses from one group
+    const arrangements = (horses, count) => {
+        if (count === 0) return [[]];
+        return horses.flatMap((h, i) =>
+            arrangements([...horses.slice(0, i), ...horses.slice(i + 1)], count - 1).map(rest => [h, ...rest])
+        );
+    };
+
+    let orderings = [[]];
+    let filled = 0;
+    for (const group of groups) {
+        if (filled >= length) break;
+        const count = Math.min(group.length, length - filled);
+        orderings = orderings.flatMap(prefix => arrangements(group, count).map(p => [...prefix, ...p]));
+        filled += count;
+    }
+    return orderings;
+}
+
+/**
+ * Each winning selection's share of the pool and its dead-heat factor
+ * Single-horse pools: each paying position is worth 1/places, and horses tied across positions
+ * split the ones they cover (dead-heat factor = positions covered / horses tied).
+ * Multi-horse pools: every winning combination a dead heat produces gets an equal share
+ * (dead-heat factor = 1 / combinations). A factor of 1 means no dead heat.
+ * @returns {Object|null} - { selection: { share, deadHeat } }, or null if the order is too short to settle
+ */
+function selectionFactors(betType, finishingOrder) {
+    const type = BET_TYPES[betType];
+    if (!type) return null;
+
+    const groups = normalizeFinishingOrder(finishingOrder);
+    const finishers = groups.reduce((sum, g) => sum + g.length, 0);
+    if (finishers < type.places) return null;
+
+    const factors = {};
+
+    if (type.picks === 1) {
+        let position = 1;
+        for (const group of groups) {
+            const lastPosition = position + group.length - 1;
+            const paidPositions = Math.max(0, Math.min(lastPosition, type.places) - position + 1);
+            for (const horse of group) {
+                if (paidPositions > 0) {
+                    const deadHeat = paidPositions / group.length;
+                    factors[normalizeSelection(betType, [horse])] = { share: deadHeat / type.places, deadHeat };
+                }
+            }
+            position = lastPosition + 1;
+        }
+        return factors;
+    }
+
+    const combinations = new Set(
+        expandOrderings(groups, type.picks).map(ordering => normalizeSelection(betType, ordering))
+    );
+    for (const selection of combinations) {
+        factors[selection] = { share: 1 / combinations.size, deadHeat: 1 / combinations.size };
+    }
+    return factors;
+}
+
+function mapFactors(factors, field) {
+    if (!factors) return null;
+    return Object.fromEntries(Object.entries(factors).map(([selection, f]) => [selection, f[field]]));
+}
+
+/**
+ * Get the winning selections for a bet type from the finishing order, with their share of the pool
+ * @param {string} betType - One of BET_TYPES
+ * @param {Array<number|Array<number>>} finishingOrder - First place first, ties as nested arrays
+ * @returns {Object|null} - { selection: share } with shares summing to 1, or null if the order is too short to settle
+ */
+function winningSelections(betType, finishingOrder) {
+    return mapFactors(selectionFactors(betType, finishingOrder), 'share');
+}
+
+/**
+ * Dead-heat factor of each winning selection: only the tie split, 1 when it isn't tied
+ * (place and show shares are applied separately by winningSelections)
+ * @returns {Object|null} - { selection: factor }, or null if the order is too short to settle
+ */
+function deadHeatFactors(betType, finishingOrder) {
+    return mapFactors(selectionFactors(betType, finishingOrder), 'deadHeat');
+}
+
+module.exports = {
+    BET_TYPES,
+    EXOTIC_BET_TYPES,
+    isValidBetType,
+    normalizeSelection,
+    parseSelection,
+    normalizeFinishingOrder,
+    sameFinishingOrder,
+    winningSelections,
+    deadHeatFactors
+};
@@ -0,0 +1,125 @@
+/**
+ * Betting currencies
+ * Every race is denominated in one currency; SOL is native, the others are SPL tokens
+ * identified by their mint. Amounts are stored and computed as integer base units
+ * (lamports for SOL) and only converted to whole units for display and the API.
+ * Bet limits below are configured in whole units.
+ */
+
+const USDC_MAINNET_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+const CURRENCIES = {
+    SOL: {
+        symbol: 'SOL',
+        mint: null,
+        decimals: 9,
+        minBet: parseFloat(process.env.MIN_BET_SOL || 0.01),
+        maxBet: parseFloat(process.env.MAX_BET_SOL || 20)
+    },
+    USDC: {
+        symbol: 'USDC',
+        mint: process.env.USDC_MINT || USDC_MAINNET_MINT,
+        decimals: 6,
+        minBet: parseFloat(process.env.MIN_BET_USDC || 1),
+        maxBet: parseFloat(process.env.MAX_BET_USDC || 2000)
+    },
+    // The project's own token; only available when TOKEN_MINT is set
+    TOKEN: {
+        symbol: process.env.TOKEN_SYMBOL || 'PONY',
+        mint: process.env.TOKEN_MINT || null,
+        decimals: parseInt(process.env.TOKEN_DECIMALS || 6),
+        minBet: parseFloat(process.env.MIN_BET_TOKEN || 1000),
+        maxBet: parseFloat(process.env.MAX_BET_TOKEN || 10000000)
+    }
+};
+
+/**
+ * Check that a currency code is supported and configured
+ */
+function isValidCurrency(code) {
+    const currency = CURRENCIES[code];
+    return !!currency && (code === 'SOL' || !!currency.mint);
+}
+
+/**
+ * Get a currency definition (SOL for races created before currencies existed)
+ */
+function getCurrency(code) {
+    const currency = CURRENCIES[code || 'SOL'];
+    if (!currency || !isValidCurrency(code || 'SOL')) {
+        throw new Error(`Unsupported currency: ${code}`);
+    }
+    return { code: code || 'SOL', ...currency };
+}
+
+function isTokenCurrency(code) {
+    return !!code && code !== 'SOL';
+}
+
+/**
+ * Currencies that can be used for new races
+ */
+function listCurrencies() {
+    return Object.keys(CURRENCIES)
+        .filter(isValidCurrency)
+        .map(code => getCurrency(code));
+}
+
+/**
+ * Decimals of a currency (also for currencies that have since been unconfigured)
+ */
+function getDecimals(code) {
+    return (CURRENCIES[code] || CURRENCIES.SOL).decimals;
+}
+
+/**
+ * Convert a whole-unit amount to integer base units (lamports for SOL)
+ */
+function toBaseUnits(amount, code) {
+    return Math.round(amount * Math.pow(10, getDecimals(code)));
+}
+
+/**
+ * Convert integer base units to a whole-unit amount
+ */
+function fromBaseUnits(units, code) {
+    return Number(units) / Math.pow(10, getDecimals(code));
+}
+
+/**
+ * Base-unit amount as a display string, e.g. "1.5 SOL"
+ */
+function formatAmount(units, code) {
+    const currency = CURRENCIES[code] || CURRENCIES.SOL;
+    return `${fromBaseUnits(units, code)} ${currency.symbol}`;
+}
+
+// Row columns that hold base-unit amounts
+const AMOUNT_FIELDS = ['amount', 'amount_received', 'total_pool', 'winnings', 'house_take'];
+
+/**
+ * Copy of a database row with its amount columns in whole units, for API responses
+ */
+function toWholeUnits(row, code = row && row.currency, fields = AMOUNT_FIELDS) {
+    if (!row) return row;
+    const converted = { ...row };
+    for (const field of fields) {
+        if (converted[field] !== null && converted[field] !== undefined) {
+            converted[field] = fromBaseUnits(converted[field], code);
+        }
+    }
+    return converted;
+}
+
+module.exports = {
+    CURRENCIES,
+    isValidCurrency,
+    getCurrency,
+    isTokenCurrency,
+    listCurrencies,
+    getDecimals,
+    toBaseUnits,
+    fromBaseUnits,
+    formatAmount,
+    toWholeUnits
+};
@@ -0,0 +1,109 @@
+/**
+ * Provably fair race outcomes (commit-reveal)
+ * When a race is created its full finishing order is drawn and sealed: only
+ * commitment = sha256("<race_id>:<order, comma separated>:<salt>") is published.
+ * Settling the race reveals the order and salt, so anyone can recompute the hash
+ * and check the declared result against what was committed before betting opened.
+ */
+
+const crypto = require('crypto');
+
+const COMMITMENT_SCHEME = 'sha256(race_id:finishing_order:salt)';
+
+/**
+ * Hash an outcome the way it is committed
+ * @param {string} raceId
+ * @param {Array<number>} outcome - Every horse number, first place first
+ * @param {string} salt - Hex string
+ */
+function hashOutcome(raceId, outcome, salt) {
+    return crypto.createHash('sha256').update(`${raceId}:${outcome.join(',')}:${salt}`).digest('hex');
+}
+
+/**
+ * Draw and seal a race's finishing order
+ * @param {string} raceId
+ * @param {number} horseCount
+ * @param {number|null} firstHorse - Fixed winner, the rest of the order is still drawn
+ * @returns {Object} { outcome, salt, commitment }
+ */
+function sealOutcome(raceId, horseCount, firstHorse = null) {
+    const horses = Array.from({ length: horseCount }, (_, i) => i + 1).filter(h => h !== firstHorse);
+
+    // Fisher-Yates with a CSPRNG
+    for (let i = horses.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [horses[i], horses[j]] = [horses[j], horses[i]];
+    }
+
+    const outcome = firstHorse ? [firstHorse, ...horses] : horses;
+    const salt = crypto.randomBytes(32).toString('hex');
+    return { outcome, salt, commitment: hashOutcome(raceId, outcome, salt) };
+}
+
+/**
+ * The finishing order a committed outcome produces once scratched horses are taken out
+ */
+function expectedFinishingOrder(outcome, scratchedHorses = []) {
+    return outcome.filter(h => !scratchedHorses.includes(h));
+}
+
+/**
+ * Check a declared finishing order (groups, see normalizeFinishingOrder) against the expected one
+ * A declared order may stop early, but every position it names must match and hold one horse
+ */
+function matchesOutcome(expected, groups) {
+    return groups.length <= expected.length &&
+        groups.every((group, i) => group.length === 1 && group[0] === expected[i]);
+}
+
+/**
+ * Public verification of a race's commitment
+ * @param {Object} race - Race from getRace (outcome and salt are only present once revealed)
+ */
+function verifyRace(race) {
+    const scratched = race.horses.filter(h => h.scratched).map(h => h.horse_number);
+    const base = {
+        race_id: race.id,
+        scheme: COMMITMENT_SCHEME,
+        commitment: race.outcome_commitment || null,
+        revealed: !!race.outcome_revealed_at,
+        scratched
+    };
+
+    if (!race.outcome_commitment) {
+        return { ...base, verified: false, message: 'This race was created before outcomes were committed' };
+    }
+    if (!race.outcome_revealed_at) {
+        return { ...base, verified: false, message: 'The outcome is revealed when the race is settled' };
+    }
+
+    const computed = hashOutcome(race.id, race.outcome, race.outcome_salt);
+    const expected = expectedFinishingOrder(race.outcome, scratched);
+    const declared = (race.finishing_order || []).map(entry => (Array.isArray(entry) ? entry : [entry]));
+    const commitmentValid = computed === race.outcome_commitment;
+    const resultMatches = matchesOutcome(expected, declared);
+
+    return {
+        ...base,
+        revealed_at: race.outcome_revealed_at,
+        outcome: race.outcome,
+        salt: race.outcome_salt,
+        computed_commitment: computed,
+        commitment_valid: commitmentValid,
+        expected_finishing_order: expected,
+        declared_finishing_order: race.finishing_order,
+        result_matches: resultMatches,
+        overridden: !!race.outcome_overridden,
+        verified: commitmentValid && resultMatches
+    };
+}
+
+module.exports = {
+    COMMITMENT_SCHEME,
+    hashOutcome,
+    sealOutcome,
+    expectedFinishingOrder,
+    matchesOutcome,
+    verifyRace
+};
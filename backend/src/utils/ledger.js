@@ -0,0 +1,133 @@
+/**
+ * Double-entry ledger accounts and entry helpers
+ * Every fund movement is a ledger transaction of two or more lines whose amounts
+ * (integer base units, debits positive, credits negative) sum to zero per currency.
+ * Fees are always SOL, so a token transaction can carry a SOL fee alongside it.
+ */
+
+const { fromBaseUnits } = require('./currencies');
+
+// Lamports charged per transaction signature
+const SIGNATURE_FEE = 5000;
+
+const ACCOUNTS = {
+    deposit_addresses: { type: 'asset', description: 'Funds sitting in deposit addresses' },
+    master_wallet: { type: 'asset', description: 'Funds in the master wallet' },
+    bets: { type: 'liability', description: 'Stakes of confirmed bets in unsettled races' },
+    payouts_owed: { type: 'liability', description: 'Winnings (stake included) queued for payout' },
+    refunds_owed: { type: 'liability', description: 'Rejected deposits and refunded bets awaiting their refund' },
+    house: { type: 'revenue', description: 'House cut and rounding dust kept at settlement' },
+    network_fees: { type: 'expense', description: 'Transaction fees paid by the house' }
+};
+
+// Kinds of ledger transaction; each is unique per reference
+const KINDS = ['deposit', 'collection', 'bet_refund', 'settlement', 'payout', 'refund', 'fee'];
+
+/**
+ * Lines moving an amount from one account to another
+ * @param {string} debit - Account that receives (asset up, liability down)
+ * @param {string} credit - Account the amount comes from
+ */
+function transfer(debit, credit, amount, currency) {
+    return [
+        { account: debit, amount, currency },
+        { account: credit, amount: -amount, currency }
+    ];
+}
+
+/**
+ * Lines for a network fee paid from an account (always in SOL)
+ */
+function fee(paidFrom, signatures = 1) {
+    return transfer('network_fees', paidFrom, SIGNATURE_FEE * signatures, 'SOL');
+}
+
+/**
+ * Net amount per currency of a set of lines; a balanced set returns {}
+ */
+function imbalances(lines) {
+    const totals = {};
+    for (const line of lines) {
+        totals[line.currency] = (totals[line.currency] || 0) + line.amount;
+    }
+    for (const currency of Object.keys(totals)) {
+        if (totals[currency] === 0) delete totals[currency];
+    }
+    return totals;
+}
+
+/**
+ * Balance in the account's natural direction (positive for assets and expenses when
+ * debited, for liabilities and revenue when credited)
+ */
+function naturalBalance(account, debitBalance) {
+    const type = ACCOUNTS[account]?.type;
+    return type === 'liability' || type === 'revenue' ? -debitBalance : debitBalance;
+}
+
+/**
+ * Admin view of the ledger in whole units, flagging anything that doesn't add up:
+ * transactions that don't balance, a ledger whose debits and credits don't cancel out,
+ * and liability accounts that disagree with the bets, payouts and refunds tables
+ * @param {Array} balances - Rows from getLedgerBalances (debit balances in base units)
+ * @param {Array} unbalanced - Rows from getUnbalancedLedgerTransactions
+ * @param {Array} expectedLiabilities - Rows from getExpectedLiabilities
+ */
+function buildReport(balances, unbalanced, expectedLiabilities) {
+    const accounts = balances.map(row => ({
+        account: row.account,
+        type: ACCOUNTS[row.account]?.type || 'unknown',
+        currency: row.currency,
+        balance: fromBaseUnits(naturalBalance(row.account, row.balance), row.currency),
+        entries: row.entries
+    }));
+
+    const net = {};
+    for (const row of balances) {
+        net[row.currency] = (net[row.currency] || 0) + row.balance;
+    }
+    const trialBalance = Object.keys(net)
+        .filter(currency => net[currency] !== 0)
+        .map(currency => ({ currency, net: fromBaseUnits(net[currency], currency) }));
+
+    const key = (account, currency) => `${account}|${currency}`;
+    const inLedger = new Map(balances
+        .filter(row => ACCOUNTS[row.account]?.type === 'liability')
+        .map(row => [key(row.account, row.currency), naturalBalance(row.account, row.balance)]));
+    const inTables = new Map(expectedLiabilities.map(row => [key(row.account, row.currency), row.amount]));
+
+    const mismatches = [...new Set([...inLedger.keys(), ...inTables.keys()])]
+        .map(k => {
+            const [account, currency] = k.split('|');
+            const ledgerAmount = inLedger.get(k) || 0;
+            const expected = inTables.get(k) || 0;
+            return { account, currency, ledgerAmount, expected };
+        })
+        .filter(m => m.ledgerAmount !== m.expected)
+        .map(m => ({
+            account: m.account,
+            currency: m.currency,
+            ledger: fromBaseUnits(m.ledgerAmount, m.currency),
+            expected: fromBaseUnits(m.expected, m.currency),
+            difference: fromBaseUnits(m.ledgerAmount - m.expected, m.currency)
+        }));
+
+    return {
+        balanced: unbalanced.length === 0 && trialBalance.length === 0 && mismatches.length === 0,
+        accounts,
+        unbalanced_transactions: unbalanced.map(row => ({ ...row, net: fromBaseUnits(row.net, row.currency) })),
+        trial_balance: trialBalance,
+        liability_mismatches: mismatches
+    };
+}
+
+module.exports = {
+    SIGNATURE_FEE,
+    ACCOUNTS,
+    KINDS,
+    transfer,
+    fee,
+    imbalances,
+    naturalBalance,
+    buildReport
+};
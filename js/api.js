@@ -16,6 +16,7 @@ class PumpPoniesAPI {
         // Event callbacks
         this.onBetPlaced = null;
         this.onRaceUpdate = null;
+        this.onHorseScratched = null;
         this.onConnected = null;
         
         // Mock data storage
@@ -108,10 +109,17 @@ class PumpPoniesAPI {
             case 'race_opened':
             case 'race_closed':
             case 'race_ended':
+            case 'race_cancelled':
                 if (this.onRaceUpdate) {
                     this.onRaceUpdate(message.type, message.race, message.results);
                 }
                 break;
+                
+            case 'horse_scratched':
+                if (this.onHorseScratched) {
+                    this.onHorseScratched(message.race, message.horse_number);
+                }
+                break;
         }
     }
     
@@ -125,7 +133,7 @@ class PumpPoniesAPI {
                 status: 'open',
                 start_time: Date.now() + 15 * 60 * 1000,
                 winner: null,
-                predetermined_winner: 3,
+                outcome_commitment: null,
                 horses: [
                     { id: 1, name: 'Neighkamoto', jockey: 'Nexus' },
                     { id: 2, name: 'Stablecolt', jockey: 'Axiom' },
@@ -209,6 +217,25 @@ class PumpPoniesAPI {
         }
     }
     
+    // Verify a race's result against its committed outcome
+    async verifyRace(raceId) {
+        if (this.useMock) {
+            const race = this.mockData.races.find(r => r.id === raceId);
+            if (!race) return { success: false, error: 'Race not found' };
+            return {
+                success: true,
+                data: { race_id: raceId, commitment: null, revealed: false, verified: false, message: 'Mock races have no commitment' }
+            };
+        }
+        
+        try {
+            const response = await fetch(`${this.baseUrl}/race/${raceId}/verify`);
+            return await response.json();
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+    
     // Get race pools (betting stats)
     async getRacePools(raceId) {
         if (this.useMock) {
@@ -232,7 +259,8 @@ class PumpPoniesAPI {
     // ===================
     
     // Generate deposit address for a bet
-    async generateDepositAddress(raceId, horseId) {
+    // Place/show bets reuse horseId; exotic bets (exacta, quinella, trifecta) pass a selection of horse numbers
+    async generateDepositAddress(raceId, horseId, betType = 'win', selection = null) {
         if (this.useMock) {
             // Generate mock Solana-like address
             const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz123456789';
@@ -258,6 +286,8 @@ class PumpPoniesAPI {
                 data: {
                     deposit_address: address,
                     expires_at: deposit.expires_at,
+                    currency: 'SOL',
+                    currency_symbol: 'SOL',
                     min_bet: CONFIG.MIN_BET,
                     max_bet: CONFIG.MAX_BET,
                     race_id: raceId,
@@ -270,7 +300,9 @@ class PumpPoniesAPI {
             const response = await fetch(`${this.baseUrl}/bet/deposit-address`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ race_id: raceId, horse_number: horseId })
+                body: JSON.stringify(betType === 'win'
+                    ? { race_id: raceId, horse_number: horseId }
+                    : { race_id: raceId, bet_type: betType, selection: selection || [horseId] })
             });
             return await response.json();
         } catch (err) {
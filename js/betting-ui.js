@@ -231,6 +231,10 @@ class BettingUI {
             statusEl.textContent = 'RACE COMPLETED';
             statusEl.classList.add('closed');
             if (countdownEl) countdownEl.style.display = 'none';
+        } else if (this.activeRace.status === 'cancelled') {
+            statusEl.textContent = 'RACE CANCELLED';
+            statusEl.classList.add('closed');
+            if (countdownEl) countdownEl.style.display = 'none';
         }
         
         titleEl.textContent = this.activeRace.title;
@@ -272,9 +276,11 @@ class BettingUI {
             const oddsDisplay = odds ? odds.toFixed(2) + 'x' : '--';
             const isUpdated = updatedHorseId === horseId;
             const jockeyName = horse.jockey || jockeyNames[index] || 'Unknown';
+            const isScratched = !!horse.scratched;
+            const canBetHorse = canBet && !isScratched;
             
             return `
-                <div class="horse-row ${isUpdated ? 'updated' : ''} ${!hasRace ? 'no-race' : ''}" ${canBet ? `onclick="bettingUI.openBetModal(${horseId})"` : ''}>
+                <div class="horse-row ${isUpdated ? 'updated' : ''} ${!hasRace ? 'no-race' : ''} ${isScratched ? 'scratched' : ''}" ${canBetHorse ? `onclick="bettingUI.openBetModal(${horseId})"` : ''}>
                     <div class="horse-number">
                         <div class="robot-jockey">${getRobotJockeySVG(horseId)}</div>
                     </div>
@@ -282,15 +288,15 @@ class BettingUI {
                         <div class="horse-name">${horse.name}</div>
                         <div class="horse-jockey">${jockeyName}</div>
                     </div>
-                    <div class="horse-odds ${isUpdated ? 'updated' : ''}">${oddsDisplay}</div>
+                    <div class="horse-odds ${isUpdated ? 'updated' : ''}">${isScratched ? 'SCR' : oddsDisplay}</div>
                     <div class="horse-pool">
-                        ${pool.amount.toFixed(2)} SOL
+                        ${pool.amount.toFixed(2)} ${this.currencySymbol()}
                         <span>${pool.bets} bets</span>
                     </div>
-                    ${canBet ? `
+                    ${canBetHorse ? `
                         <button class="bet-btn">Place Bet</button>
                     ` : `
-                        <button class="bet-btn" disabled style="opacity: 0.5; cursor: not-allowed;">${hasRace ? 'Closed' : 'No Race'}</button>
+                        <button class="bet-btn" disabled style="opacity: 0.5; cursor: not-allowed;">${isScratched ? 'Scratched' : hasRace ? 'Closed' : 'No Race'}</button>
                     `}
                 </div>
             `;
@@ -311,7 +317,7 @@ class BettingUI {
         const totalBetsEl = document.getElementById('total-bets');
 
         if (totalPoolEl) {
-            totalPoolEl.innerHTML = `${totalPool.toFixed(2)} <span>SOL</span>`;
+            totalPoolEl.innerHTML = `${totalPool.toFixed(2)} <span>${this.currencySymbol()}</span>`;
             if (animate) {
                 totalPoolEl.classList.add('updated');
                 setTimeout(() => totalPoolEl.classList.remove('updated'), 1000);
@@ -358,16 +364,77 @@ class BettingUI {
                 <div class="race-history-card">
                     <div class="race-history-info">
                         <h4>${race.title || 'Race'}</h4>
-                        <p>Total Pool: ${totalPool.toFixed(2)} SOL</p>
+                        <p>Total Pool: ${totalPool.toFixed(2)} ${this.currencySymbol(race)}</p>
                     </div>
                     <div class="race-winner">
                         <div class="winner-badge">🏆 #${race.winner || '?'} - ${winnerName}</div>
+                        <button class="verify-btn" onclick="bettingUI.toggleVerifyPanel('${race.id}')">Verify</button>
                     </div>
                 </div>
+                <div class="race-verify-panel" id="verify-${race.id}"></div>
             `;
         }).join('');
     }
     
+    // ===================
+    // RACE VERIFICATION
+    // ===================
+    
+    /**
+     * Show whether a race's result matches the outcome committed when it was created.
+     * The commitment is recomputed here in the browser rather than trusting the server's check
+     */
+    async toggleVerifyPanel(raceId) {
+        const panel = document.getElementById(`verify-${raceId}`);
+        if (!panel) return;
+        
+        if (panel.classList.contains('active')) {
+            panel.classList.remove('active');
+            return;
+        }
+        
+        panel.innerHTML = '<p>Verifying...</p>';
+        panel.classList.add('active');
+        
+        const result = await api.verifyRace(raceId);
+        if (!result.success) {
+            panel.innerHTML = `<p class="verify-fail">Could not verify: ${result.error}</p>`;
+            return;
+        }
+        
+        const v = result.data;
+        if (!v.commitment || !v.revealed) {
+            panel.innerHTML = `
+                ${v.commitment ? `<div class="verify-row"><span>Commitment</span><code>${v.commitment}</code></div>` : ''}
+                <p>${v.message}</p>
+            `;
+            return;
+        }
+        
+        const computed = await this.sha256Hex(`${v.race_id}:${v.outcome.join(',')}:${v.salt}`);
+        const hashValid = computed === v.commitment;
+        const verified = hashValid && v.result_matches;
+        const formatOrder = (order) => order.map(entry => (Array.isArray(entry) ? entry.join('=') : entry)).join(', ');
+        
+        panel.innerHTML = `
+            <div class="verify-status ${verified ? 'verify-ok' : 'verify-fail'}">
+                ${verified ? '✓ Result matches the committed outcome' : '✗ Result does not match the committed outcome'}
+            </div>
+            <div class="verify-row"><span>Commitment</span><code>${v.commitment}</code></div>
+            <div class="verify-row"><span>Recomputed</span><code>${computed}</code></div>
+            <div class="verify-row"><span>Salt</span><code>${v.salt}</code></div>
+            <div class="verify-row"><span>Committed order</span><code>${v.outcome.join(', ')}</code></div>
+            <div class="verify-row"><span>Declared result</span><code>${formatOrder(v.declared_finishing_order || [])}</code></div>
+            ${v.scratched.length ? `<div class="verify-row"><span>Scratched</span><code>${v.scratched.join(', ')}</code></div>` : ''}
+            <p class="verify-scheme">${v.scheme}</p>
+        `;
+    }
+    
+    async sha256Hex(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    
     // ===================
     // COUNTDOWN
     // ===================
@@ -487,7 +554,7 @@ class BettingUI {
                 
                 // Show notification for new bet
                 const horseName = this.activeRace.horses?.find(h => h.horse_number === bet.horse_number)?.name || `Horse #${bet.horse_number}`;
-                this.showToast(`New bet: ${bet.amount} SOL on ${horseName}`, 'info', 3000);
+                this.showToast(`New bet: ${bet.amount} ${this.currencySymbol()} on ${horseName}`, 'info', 3000);
             }
         };
         
@@ -498,6 +565,22 @@ class BettingUI {
                 this.activeRace = race;
                 this.render();
             }
+            if (type === 'race_cancelled') {
+                this.showToast('Race cancelled. All bets are being refunded.', 'info', 6000);
+            }
+        };
+        
+        // Horse withdrawn - its bets are refunded and pools recalculated
+        api.onHorseScratched = (race, horseNumber) => {
+            console.log('🚫 Horse scratched:', horseNumber);
+            if (race) {
+                this.activeRace = race;
+                this.renderHorses();
+                this.renderTotals(true);
+                
+                const horseName = race.horses?.find(h => h.horse_number === horseNumber)?.name || `Horse #${horseNumber}`;
+                this.showToast(`${horseName} has been scratched. Bets on it will be refunded.`, 'info', 5000);
+            }
         };
         
         // Initial connection
@@ -525,6 +608,14 @@ class BettingUI {
         }
     }
     
+    /**
+     * Display symbol for a race's currency (races created before currencies are SOL)
+     */
+    currencySymbol(race = this.activeRace) {
+        const code = race?.currency || 'SOL';
+        return CONFIG.CURRENCY_SYMBOLS[code] || code;
+    }
+    
     async openBetModal(horseId) {
         if (!this.activeRace || this.activeRace.status !== 'open') {
             alert('Betting is currently closed!');
@@ -539,6 +630,11 @@ class BettingUI {
             return;
         }
         
+        if (this.selectedHorse.scratched) {
+            alert('This horse has been scratched!');
+            return;
+        }
+        
         // Render selected horse info
         const selectedHorseDiv = document.getElementById('selected-horse');
         const odds = api.calculateOdds(this.activeRace, horseId);
@@ -565,8 +661,16 @@ class BettingUI {
         if (resp.success && resp.data) {
             this.currentDepositAddress = resp.data.deposit_address;
             this.currentDepositId = resp.data.deposit_id;
+            this.currentCurrencySymbol = resp.data.currency_symbol || 'SOL';
             addressEl.textContent = this.currentDepositAddress;
             
+            // Races can be in SOL or an SPL token - show what to send and the limits for it
+            document.querySelectorAll('#bet-modal .bet-currency').forEach(el => {
+                el.textContent = this.currentCurrencySymbol;
+            });
+            document.getElementById('bet-min').textContent = `${resp.data.min_bet} ${this.currentCurrencySymbol}`;
+            document.getElementById('bet-max').textContent = `${resp.data.max_bet} ${this.currentCurrencySymbol}`;
+            
             // Start polling for deposit confirmation
             this.startDepositPolling(resp.data.deposit_id, this.selectedHorse.name);
         } else {
@@ -608,7 +712,7 @@ class BettingUI {
                     
                     if (status === 'confirmed') {
                         clearInterval(this.depositPollInterval);
-                        this.showToast(`✓ Bet confirmed! ${result.data.amount_received} SOL on ${horseName}`, 'success', 6000);
+                        this.showToast(`✓ Bet confirmed! ${result.data.amount_received} ${this.currentCurrencySymbol || 'SOL'} on ${horseName}`, 'success', 6000);
                         this.closeBetModal();
                         
                         // Refresh race data
@@ -23,6 +23,9 @@ const CONFIG = {
     MIN_BET: 0.01,
     MAX_BET: 20,
     
+    // Display symbols for race currencies (TOKEN is the project token)
+    CURRENCY_SYMBOLS: { SOL: 'SOL', USDC: 'USDC', TOKEN: 'PONY' },
+    
     // House cut percentage - applied silently on payouts (not shown in UI)
     // Winners receive: (their_share_of_pool) * (1 - HOUSE_CUT)
     HOUSE_CUT: 0.05,
@@ -49,8 +52,5 @@ const CONFIG = {
     ],
     
     // Stream URL - set via admin panel (both Watch Live and Buy on Pump buttons)
-    STREAM_URL: 'https://pump.fun',
-    
-    // Admin token (should match backend ADMIN_TOKEN in .env)
-    ADMIN_TOKEN: 'pumpPonies_admin_secret_token_2024'
+    STREAM_URL: 'https://pump.fun'
 };